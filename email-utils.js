@@ -5,6 +5,7 @@
 require('dotenv').config();
 const sgMail = require('@sendgrid/mail');
 const nodemailer = require('nodemailer');
+const { formatPrice } = require('./services/currency');
 
 // Environment
 const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY;
@@ -63,13 +64,13 @@ function escapeAttr(str) {
 // Build HTML email - cleaner UI, responsive cards, CTA buttons, plain-text fallback
 function buildEmailHtml({ user, searchParty, deals }) {
   const itemName = escapeHtml(searchParty.itemName || 'your item');
-  const priceFilter = searchParty.maxPrice ? `<div style="font-size:14px;color:#666;margin-top:4px;"><strong>Max Price:</strong> $${escapeHtml(searchParty.maxPrice)}</div>` : '';
+  const priceFilter = searchParty.maxPrice ? `<div style="font-size:14px;color:#666;margin-top:4px;"><strong>Max Price:</strong> ${escapeHtml(formatPrice(searchParty.maxPrice, searchParty.currency || 'NGN'))}</div>` : '';
   const preferences = searchParty.preferences ? `<div style="font-size:14px;color:#666;margin-top:4px;"><strong>Preferences:</strong> ${escapeHtml(searchParty.preferences)}</div>` : '';
 
   const dealCards = (deals && deals.length)
     ? deals.map(d => {
       const title = escapeHtml(d.title || 'Unknown product');
-      const price = (typeof d.price === 'number') ? `$${d.price.toFixed(2)}` : escapeHtml(d.price || 'N/A');
+      const price = (typeof d.price === 'number') ? escapeHtml(formatPrice(d.price, d.currency || searchParty.currency || 'NGN')) : escapeHtml(d.price || 'N/A');
       const source = escapeHtml(d.source || 'Seller');
       const link = escapeAttr(d.link || '#');
       const image = escapeAttr(d.image || '');
@@ -176,9 +177,9 @@ function buildEmailHtml({ user, searchParty, deals }) {
 // Plain-text fallback
 function buildPlainText({ user, searchParty, deals }) {
   const header = `Deals found for "${searchParty.itemName}"\n\n`;
-  const details = `Search details:\n- Item: ${searchParty.itemName}\n${searchParty.maxPrice ? `- Max price: $${searchParty.maxPrice}\n` : ''}${searchParty.preferences ? `- Preferences: ${searchParty.preferences}\n` : ''}\n`;
+  const details = `Search details:\n- Item: ${searchParty.itemName}\n${searchParty.maxPrice ? `- Max price: ${formatPrice(searchParty.maxPrice, searchParty.currency || 'NGN')}\n` : ''}${searchParty.preferences ? `- Preferences: ${searchParty.preferences}\n` : ''}\n`;
   const dealsText = (deals && deals.length) ? deals.map((d, i) => {
-    return `${i + 1}. ${d.title}\n   Price: ${typeof d.price === 'number' ? `$${d.price.toFixed(2)}` : d.price}\n   Seller: ${d.source}\n   Link: ${d.link}\n`;
+    return `${i + 1}. ${d.title}\n   Price: ${typeof d.price === 'number' ? formatPrice(d.price, d.currency || searchParty.currency || 'NGN') : d.price}\n   Seller: ${d.source}\n   Link: ${d.link}\n`;
   }).join('\n') : 'No deals found.\n';
 
   return `${header}${details}\nTop deals:\n${dealsText}\nSent by ${FROM_NAME}\n`;
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Party Stores Migration
+ * Parties created before store filtering was enforced were saved with the placeholder list
+ * ['amazon', 'ebay', 'walmart', 'bestbuy'] whether or not the user picked any stores. That list
+ * was never applied, so this clears it (empty means any store) on parties created before
+ * the cutoff. Run it once, with the date the store filters were deployed; parties created
+ * since then keep the stores their users picked.
+ *
+ * Usage: node scripts/migrate-party-stores.js <deployed-at ISO date> [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+// MongoDB connection
+const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI;
+
+const LEGACY_DEFAULT_STORES = ['amazon', 'ebay', 'walmart', 'bestbuy'];
+
+// Schemas (simplified for this script)
+const Party = mongoose.model('Party', new mongoose.Schema({
+    itemName: String,
+    stores: [String],
+    createdAt: Date
+}));
+
+async function migrate(cutoffArg, dryRun) {
+    const cutoff = new Date(cutoffArg);
+    try {
+        if (!cutoffArg || isNaN(cutoff.getTime())) {
+            console.log('Usage: node scripts/migrate-party-stores.js <deployed-at ISO date> [--dry-run]');
+            return;
+        }
+
+        console.log('📦 Connecting to database...');
+        await mongoose.connect(MONGO_URI);
+
+        // Exactly the placeholder list, in any order
+        const filter = {
+            createdAt: { $lt: cutoff },
+            stores: { $size: LEGACY_DEFAULT_STORES.length, $all: LEGACY_DEFAULT_STORES }
+        };
+
+        const count = await Party.countDocuments(filter);
+        if (dryRun) {
+            console.log(`ℹ️ ${count} part(ies) created before ${cutoff.toISOString()} still have the placeholder store list`);
+            return;
+        }
+
+        const result = await Party.updateMany(filter, { $set: { stores: [] } });
+        console.log(`✅ Cleared the placeholder store list on ${result.modifiedCount} part(ies)`);
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+    } finally {
+        await mongoose.connection.close();
+        process.exit(0);
+    }
+}
+
+migrate(process.argv[2], process.argv.includes('--dry-run'));
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Admin Bootstrap Script
+ * Grants the admin role to a user by email, so the first admin can be created
+ * before anyone can call PUT /api/admin/users/:id/role.
+ *
+ * Usage: node scripts/promote-admin.js <email> [role]
+ *   role defaults to "admin"; pass "user" to demote.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+// MongoDB connection
+const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI;
+
+// Schemas (simplified for this script)
+const User = mongoose.model('User', new mongoose.Schema({
+    username: String,
+    email: String,
+    role: String
+}));
+
+const RoleAudit = mongoose.model('RoleAudit', new mongoose.Schema({
+    actorId: mongoose.Schema.Types.ObjectId,
+    targetUserId: mongoose.Schema.Types.ObjectId,
+    action: String,
+    fromRole: String,
+    toRole: String,
+    reason: String,
+    createdAt: { type: Date, default: Date.now }
+}));
+
+const ROLE_RANK = { user: 0, vendor: 1, admin: 2 };
+
+async function setRole(email, role) {
+    try {
+        if (!email || !(role in ROLE_RANK)) {
+            console.log('Usage: node scripts/promote-admin.js <email> [user|vendor|admin]');
+            return;
+        }
+
+        console.log('📦 Connecting to database...');
+        await mongoose.connect(MONGO_URI);
+
+        const user = await User.findOne({ email });
+        if (!user) {
+            console.log(`❌ No user found with email ${email}`);
+            return;
+        }
+
+        const fromRole = user.role || 'user';
+        if (fromRole === role) {
+            console.log(`ℹ️ ${email} already has role "${role}"`);
+            return;
+        }
+
+        user.role = role;
+        await user.save();
+
+        await RoleAudit.create({
+            actorId: null,
+            targetUserId: user._id,
+            action: ROLE_RANK[role] > ROLE_RANK[fromRole] ? 'promote' : 'demote',
+            fromRole,
+            toRole: role,
+            reason: 'scripts/promote-admin.js'
+        });
+
+        console.log(`✅ ${email}: ${fromRole} → ${role}`);
+    } catch (error) {
+        console.error('❌ Role update failed:', error.message);
+    } finally {
+        await mongoose.connection.close();
+        process.exit(0);
+    }
+}
+
+setRole(process.argv[2], process.argv[3] || 'admin');
@@ -11,6 +11,26 @@ const multer = require('multer');
 const fs = require('fs');
 const whatsappService = require('./services/whatsapp');
 const aiService = require('./services/ai');
+const storeRegistry = require('./services/stores');
+const partyFilters = require('./services/partyFilters');
+const priceHistory = require('./services/priceHistory');
+const notificationDispatcher = require('./services/notificationDispatcher');
+const searchQueue = require('./services/searchQueue');
+const analytics = require('./services/analytics');
+const affiliates = require('./services/affiliates');
+const currencyService = require('./services/currency');
+const exchangeRates = require('./services/exchangeRates');
+const productMatching = require('./services/productMatching');
+const dealAttributes = require('./services/attributes');
+const searchFilters = require('./services/searchFilters');
+const rankingPolicy = require('./services/rankingPolicy');
+const personalization = require('./services/personalization');
+const searchCache = require('./services/searchCache');
+const cacheWarmer = require('./services/cacheWarmer');
+const scrapperClient = require('./services/scrapper');
+const searchService = require('./services/searchService');
+const searchStreams = require('./services/searchStreams');
+const chatSocket = require('./services/chatSocket');
 
 // Configure Multer for memory storage (direct upload to Gemini)
 const upload = multer({
@@ -56,8 +76,9 @@ app.get('/', (req, res) => {
 
 // Load API keys and configuration from environment variables
 const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
-const EXCHANGE_RATE_API_KEY = process.env.EXCHANGE_RATE_API_KEY;
 const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret';
+// Public base URL of this API, used to build /r/:trackingId click-through links
+const PUBLIC_API_URL = (process.env.PUBLIC_API_URL || 'https://api.sonofanton.live').replace(/\/+$/, '');
 
 // Base URL for SerpAPI - REMOVED
 // const SERP_BASE_URL = 'https://serpapi.com/search';
@@ -78,24 +99,7 @@ const SEARCH_FREQUENCY_MINUTES = parseInt(process.env.SEARCH_FREQUENCY_MINUTES,
 const EXCHANGE_RATE_UPDATE_HOURS = parseInt(process.env.EXCHANGE_RATE_UPDATE_HOURS, 10) || 6;
 
 
-// Affiliate configuration
-const AFFILIATE_CONFIGS = {
-    amazon: {
-        enabled: true,
-        tag: 'sagato-20',
-        domains: ['amazon.com', 'amzn.to']
-    },
-    ebay: {
-        enabled: false,
-        campaignId: '',
-        domains: ['ebay.com']
-    },
-    walmart: {
-        enabled: false,
-        publisherId: '',
-        domains: ['walmart.com']
-    }
-};
+// Affiliate configuration lives on each store in services/stores.js
 
 // Amazon Product Advertising API (PA-API) setup - REMOVED
 
@@ -147,9 +151,15 @@ mongoose.connect(MONGO_URI)
     .then(() => {
         console.log('MongoDB connected');
         // Initialize Exchange Rates
-        fetchAndStoreExchangeRates();
+        exchangeRates.fetchAndStoreExchangeRates();
+        // Load affiliate programs
+        affiliates.loadPrograms();
+        // Load ranking policies
+        rankingPolicy.loadPolicies();
         // Start Scheduler
         startScheduler();
+        // Keep popular searches cached
+        cacheWarmer.start();
     })
     .catch((err) => console.error('MongoDB connection error:', err));
 
@@ -174,6 +184,7 @@ const userSchema = new mongoose.Schema({
             default: 'Balanced',
         },
         country: { type: String, default: 'NG' }, // Default to Nigeria
+        currency: { type: String, default: null }, // Display currency; derived from country when unset
     },
     searchPreferences: {
         quickSearchMode: { type: Boolean, default: true },
@@ -185,7 +196,7 @@ const userSchema = new mongoose.Schema({
         autoSearchOnOpen: { type: Boolean, default: true }
     },
     createdAt: { type: Date, default: Date.now },
-    role: { type: String, enum: ['user', 'vendor'], default: 'user' }
+    role: { type: String, enum: ['user', 'vendor', 'admin'], default: 'user' }
 });
 
 // Model
@@ -198,15 +209,24 @@ const partySchema = new mongoose.Schema({
     searchQuery: { type: String, required: true },
     searchFrequencyHours: { type: Number, default: 12 },
     aiStyle: { type: String, default: 'Balanced' },
-    stores: { type: [String], default: ['amazon', 'ebay', 'walmart', 'bestbuy'] },
+    stores: { type: [String], default: [] }, // Store ids from services/stores.js; empty means any store
     maxPrice: { type: Number, default: null },
     minPrice: { type: Number, default: 0 },
+    currency: { type: String, default: 'NGN' }, // Currency of minPrice/maxPrice/priceDropAmount
+    priceDropPercent: { type: Number, default: 5 }, // Notify when a seen listing drops by at least this %
+    priceDropAmount: { type: Number, default: null }, // ...or by at least this amount
     active: { type: Boolean, default: true },
     lastRunAt: { type: Date, default: null },
+    lastFilterStats: {
+        total: Number,
+        removedByStore: Number,
+        removedByPrice: Number,
+        kept: Number
+    },
     createdAt: { type: Date, default: Date.now },
     notificationChannel: {
         type: String,
-        enum: ['in_app', 'email', 'sms'],
+        enum: ['in_app', 'email', 'sms', 'whatsapp'],
         default: 'in_app'
     }
 });
@@ -220,15 +240,74 @@ const clickTrackingSchema = new mongoose.Schema({
     productTitle: { type: String, required: true },
     originalLink: { type: String, required: true },
     affiliateLink: { type: String },
+    affiliateProgram: { type: String }, // programKey of the AffiliateProgram the link was attributed to
     source: { type: String, required: true },
     price: { type: Number },
     searchQuery: { type: String },
+    category: { type: String },
+    kind: { type: String, enum: ['impression', 'view'], default: 'impression' }, // impression from trackImpressions, view from /api/track-view; unset on records written before it existed
     clicked: { type: Boolean, default: false },
+    addedToCart: { type: Boolean, default: false },
+    addedToCartAt: { type: Date },
+    clickedAt: { type: Date },
+    referrer: { type: String },
+    userAgent: { type: String },
     createdAt: { type: Date, default: Date.now }
 });
 
+clickTrackingSchema.index({ createdAt: -1 });
+
 const ClickTracking = mongoose.model('ClickTracking', clickTrackingSchema);
 
+// Affiliate Program Schema and Model (admin-editable, see services/affiliates.js)
+const affiliateProgramSchema = new mongoose.Schema({
+    programKey: { type: String, required: true, unique: true },
+    name: { type: String, required: true },
+    storeId: { type: String, required: true }, // store registry id
+    country: { type: String, default: null }, // only applies to users in this country; null = everyone
+    domains: [{ type: String }], // link hosts covered; defaults to the store's domains
+    type: { type: String, enum: ['query_param', 'url_template'], default: 'query_param' },
+    param: { type: String }, // query_param: parameter name (e.g. 'tag')
+    value: { type: String }, // query_param: tracking id (e.g. 'sagato-20')
+    template: { type: String }, // url_template: deep-link wrapper with {url} / {rawUrl} placeholders
+    enabled: { type: Boolean, default: false },
+    priority: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+const AffiliateProgram = mongoose.model('AffiliateProgram', affiliateProgramSchema);
+
+// Ranking Policy Schema and Model (admin-editable, see services/rankingPolicy.js)
+const rankingPolicySchema = new mongoose.Schema({
+    policyKey: { type: String, required: true, unique: true },
+    name: { type: String, required: true },
+    country: { type: String, default: null }, // null = every country
+    category: { type: String, default: null }, // e.g. 'gadget'; null = every category
+    sources: [{
+        _id: false,
+        storeId: { type: String, required: true }, // store registry id
+        placement: { type: String, enum: ['lead', 'mix'], default: 'mix' },
+        order: { type: Number, default: 0 }, // lead: stacking order; mix: interleave order
+        weight: { type: Number, default: 1 } // mix: results taken per interleave round
+    }],
+    blend: {
+        local: { type: Number, default: 9 },
+        international: { type: Number, default: 1 }
+    },
+    relevance: {
+        minScore: { type: Number, default: 0.4 }, // results below are dropped
+        highScore: { type: Number, default: 0.8 }, // results at or above come first
+        tieBand: { type: Number, default: 0.2 } // closer scores are ordered by price
+    },
+    priceWeight: { type: Number, default: 0 }, // 0-1, how much a low price lifts relevance
+    enabled: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+const RankingPolicy = mongoose.model('RankingPolicy', rankingPolicySchema);
+
 // Cart Schema and Model
 const cartItemSchema = new mongoose.Schema({
     title: { type: String, required: true },
@@ -263,32 +342,113 @@ const partyNotificationSchema = new mongoose.Schema({
             link: String,
             image: String,
             rating: String,
-            reviews: String
+            reviews: String,
+            productKey: String,
+            trackingId: String,
+            trackingUrl: String,
+            currency: String,
+            originalPrice: Number,
+            originalCurrency: String,
+            rateAsOf: Date,
+            rateStale: Boolean,
+            changeType: { type: String, enum: ['new', 'price_drop'] },
+            previousPrice: Number
         }
     ],
     searchQuery: { type: String, required: true },
     notificationMessage: { type: String, required: true },
     notificationChannel: {
         type: String,
-        enum: ['in_app', 'email', 'sms'],
+        enum: ['in_app', 'email', 'sms', 'whatsapp'],
         default: 'in_app'
     },
+    // Per-channel delivery record, written by services/notificationDispatcher.js
+    deliveries: [
+        {
+            channel: { type: String, enum: ['in_app', 'email', 'sms', 'whatsapp'], required: true },
+            status: { type: String, enum: ['pending', 'sent', 'failed'], default: 'pending' },
+            attempts: { type: Number, default: 0 },
+            lastError: { type: String, default: null },
+            lastAttemptAt: { type: Date },
+            deliveredAt: { type: Date }
+        }
+    ],
     aiSummary: { type: String },
+    filterStats: {
+        total: Number,
+        removedByStore: Number,
+        removedByPrice: Number,
+        kept: Number
+    },
     createdAt: { type: Date, default: Date.now },
     read: { type: Boolean, default: false }
 });
 
 const PartyNotification = mongoose.model('PartyNotification', partyNotificationSchema);
 
-// Exchange Rate Schema and Model
+// Price Snapshot Schema and Model (Price history per product, recorded on every party run)
+const priceSnapshotSchema = new mongoose.Schema({
+    productKey: { type: String, required: true }, // Normalized identity, see services/priceHistory.js
+    partyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Party' },
+    source: { type: String },
+    title: { type: String },
+    link: { type: String },
+    price: { type: Number, required: true },
+    currency: { type: String, default: 'NGN' },
+    capturedAt: { type: Date, default: Date.now }
+});
+
+priceSnapshotSchema.index({ productKey: 1, capturedAt: -1 });
+priceSnapshotSchema.index({ productKey: 1, partyId: 1, capturedAt: -1 });
+
+const PriceSnapshot = mongoose.model('PriceSnapshot', priceSnapshotSchema);
+
+// Search Job Schema and Model (Persistent queue for Search Party runs, see services/searchQueue.js)
+const searchJobSchema = new mongoose.Schema({
+    partyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Party', required: true, unique: true },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'failed', 'dead'],
+        default: 'queued'
+    },
+    nextRunAt: { type: Date, default: Date.now },
+    searchFrequencyHours: { type: Number }, // party frequency nextRunAt was scheduled with
+    attempts: { type: Number, default: 0 },
+    lockedBy: { type: String },
+    lockedUntil: { type: Date },
+    startedAt: { type: Date },
+    lastRunAt: { type: Date },
+    lastDurationMs: { type: Number },
+    lastError: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
+searchJobSchema.index({ status: 1, nextRunAt: 1 });
+
+const SearchJob = mongoose.model('SearchJob', searchJobSchema);
+
+// Exchange Rate Schema and Model (latest rates; history is in ExchangeRateSnapshot)
 const exchangeRateSchema = new mongoose.Schema({
     baseCurrency: { type: String, required: true, unique: true, default: 'USD' },
     rates: { type: Map, of: Number, required: true },
+    provider: { type: String },
     lastUpdated: { type: Date, default: Date.now }
 });
 
 const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
 
+// Exchange Rate Snapshot Schema and Model - one document per successful fetch
+const exchangeRateSnapshotSchema = new mongoose.Schema({
+    baseCurrency: { type: String, required: true, default: 'USD' },
+    rates: { type: Map, of: Number, required: true },
+    provider: { type: String, required: true },
+    fetchedAt: { type: Date, default: Date.now }
+});
+
+exchangeRateSnapshotSchema.index({ baseCurrency: 1, fetchedAt: -1 });
+
+const ExchangeRateSnapshot = mongoose.model('ExchangeRateSnapshot', exchangeRateSnapshotSchema);
+
 // Feedback Schema and Model
 const feedbackSchema = new mongoose.Schema({
     messageId: { type: String, required: true },
@@ -311,6 +471,7 @@ const conversationSchema = new mongoose.Schema({
             role: { type: String, enum: ['user', 'assistant', 'system'], required: true },
             content: { type: String, required: true }, // Can be text or JSON string for complex UI
             timestamp: { type: Date, default: Date.now },
+            searchQuery: { type: String }, // Search this message ran (mined by the cache warmer)
             metadata: { type: mongoose.Schema.Types.Mixed } // For storing product details, etc.
         }
     ],
@@ -321,8 +482,26 @@ const conversationSchema = new mongoose.Schema({
 conversationSchema.index({ userId: 1, sessionId: 1 });
 const Conversation = mongoose.model('Conversation', conversationSchema);
 
+// Role Audit Schema and Model (Every admin promote/demote action)
+const roleAuditSchema = new mongoose.Schema({
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // null when changed from a script
+    targetUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    action: { type: String, enum: ['promote', 'demote', 'change'], required: true },
+    fromRole: { type: String, required: true },
+    toRole: { type: String, required: true },
+    reason: { type: String },
+    ip: { type: String },
+    userAgent: { type: String },
+    createdAt: { type: Date, default: Date.now }
+});
+
+const RoleAudit = mongoose.model('RoleAudit', roleAuditSchema);
+
 // --- API Endpoints ---
 
+// All admin routes require an authenticated admin
+app.use('/api/admin', requireRole('admin'));
+
 // Submit Feedback
 app.post('/api/feedback', async (req, res) => {
     try {
@@ -376,7 +555,7 @@ app.get('/api/admin/feedback', async (req, res) => {
 // Track interest (clicks on View button)
 app.post('/api/track-view', async (req, res) => {
     try {
-        const { productTitle, source, price, originalLink, affiliateLink, searchQuery, sessionId } = req.body;
+        const { productTitle, source, price, originalLink, affiliateLink, searchQuery, category, sessionId } = req.body;
         const userId = req.userId || req.body.userId;
 
         const tracking = new ClickTracking({
@@ -388,6 +567,8 @@ app.post('/api/track-view', async (req, res) => {
             originalLink,
             affiliateLink,
             searchQuery,
+            category,
+            kind: 'view',
             clicked: true // Mark as clicked immediately
         });
 
@@ -415,16 +596,593 @@ app.get('/api/admin/clicks', async (req, res) => {
             .skip(skip)
             .limit(limit);
 
-        res.json({
-            clicks,
-            totalCount,
-            totalPages,
-            currentPage: page
-        });
+        res.json({
+            clicks,
+            totalCount,
+            totalPages,
+            currentPage: page
+        });
+    } catch (error) {
+        console.error('Error fetching clicks:', error);
+        res.status(500).json({ error: 'Failed to fetch click data' });
+    }
+});
+
+// Get Search Party job queue state (Admin)
+app.get('/api/admin/jobs', async (req, res) => {
+    try {
+        const { status } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = status ? { status } : {};
+
+        const [stats, totalCount, jobs] = await Promise.all([
+            searchQueue.stats(),
+            SearchJob.countDocuments(filter),
+            SearchJob.find(filter)
+                .populate('partyId', 'itemName searchQuery userId searchFrequencyHours')
+                .sort({ nextRunAt: 1 })
+                .skip(skip)
+                .limit(limit)
+        ]);
+
+        res.json({
+            ...stats,
+            jobs,
+            totalCount,
+            totalPages: Math.ceil(totalCount / limit),
+            currentPage: page
+        });
+    } catch (error) {
+        console.error('Error fetching search jobs:', error);
+        res.status(500).json({ error: 'Failed to fetch search jobs' });
+    }
+});
+
+// Requeue a failed or dead Search Party job (Admin)
+app.post('/api/admin/jobs/:id/requeue', async (req, res) => {
+    try {
+        const job = await searchQueue.requeue(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found or not in a failed/dead state' });
+        }
+
+        res.json({ message: 'Job requeued', job });
+    } catch (error) {
+        console.error('Error requeuing search job:', error);
+        res.status(500).json({ error: 'Failed to requeue job' });
+    }
+});
+
+// Promote or demote a user (Admin)
+app.put('/api/admin/users/:id/role', async (req, res) => {
+    try {
+        const { role, reason } = req.body;
+        const roleRank = { user: 0, vendor: 1, admin: 2 };
+
+        if (!Object.prototype.hasOwnProperty.call(roleRank, role)) {
+            return res.status(400).json({ error: 'Role must be one of: user, vendor, admin' });
+        }
+
+        if (String(req.userId) === String(req.params.id)) {
+            return res.status(400).json({ error: 'Admins cannot change their own role' });
+        }
+
+        const target = await User.findById(req.params.id).select('-password');
+        if (!target) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const fromRole = target.role || 'user';
+        if (fromRole === role) {
+            return res.json({ message: `User already has role "${role}"`, user: target });
+        }
+
+        target.role = role;
+        await target.save();
+
+        const audit = new RoleAudit({
+            actorId: req.userId,
+            targetUserId: target._id,
+            action: roleRank[role] > roleRank[fromRole] ? 'promote' : 'demote',
+            fromRole,
+            toRole: role,
+            reason,
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+        await audit.save();
+
+        console.log(`🛡️ Admin ${req.userId} changed role of ${target._id}: ${fromRole} → ${role}`);
+
+        res.json({ message: 'Role updated successfully', user: target, audit });
+    } catch (error) {
+        console.error('Error updating user role:', error);
+        res.status(500).json({ error: 'Failed to update user role' });
+    }
+});
+
+// Get role change audit log (Admin)
+app.get('/api/admin/role-audit', async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = req.query.userId ? { targetUserId: req.query.userId } : {};
+
+        const totalCount = await RoleAudit.countDocuments(filter);
+        const audits = await RoleAudit.find(filter)
+            .populate('actorId', 'username email')
+            .populate('targetUserId', 'username email')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        res.json({
+            audits,
+            totalCount,
+            totalPages: Math.ceil(totalCount / limit),
+            currentPage: page
+        });
+    } catch (error) {
+        console.error('Error fetching role audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch role audit log' });
+    }
+});
+
+// --- Affiliate Programs (Admin) ---
+
+const AFFILIATE_PROGRAM_FIELDS = ['name', 'storeId', 'country', 'domains', 'type', 'param', 'value', 'template', 'enabled', 'priority'];
+
+function pickAffiliateProgramFields(body) {
+    const fields = {};
+    for (const key of AFFILIATE_PROGRAM_FIELDS) {
+        if (body[key] !== undefined) fields[key] = body[key];
+    }
+    if (typeof fields.country === 'string') fields.country = fields.country.toUpperCase() || null;
+    return fields;
+}
+
+// Check a program is usable before saving; returns an error message or null
+function validateAffiliateProgram(program) {
+    if (!storeRegistry.getStore(program.storeId)) {
+        return `Unknown store: ${program.storeId}`;
+    }
+    if (program.type === 'url_template') {
+        if (program.enabled && (!program.template || !/\{(url|rawUrl)\}/.test(program.template))) {
+            return 'url_template programs need a template containing {url} or {rawUrl}';
+        }
+    } else if (program.enabled && !program.param) {
+        return 'query_param programs need a param';
+    }
+    return null;
+}
+
+// List affiliate programs (Admin)
+app.get('/api/admin/affiliate-programs', async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.storeId) filter.storeId = req.query.storeId;
+        if (req.query.country) filter.country = req.query.country.toUpperCase();
+
+        const programs = await AffiliateProgram.find(filter).sort({ storeId: 1, priority: -1 });
+        res.json({ programs });
+    } catch (error) {
+        console.error('Error fetching affiliate programs:', error);
+        res.status(500).json({ error: 'Failed to fetch affiliate programs' });
+    }
+});
+
+// Create an affiliate program (Admin)
+app.post('/api/admin/affiliate-programs', async (req, res) => {
+    try {
+        const { programKey } = req.body;
+        if (!programKey) {
+            return res.status(400).json({ error: 'programKey is required' });
+        }
+
+        const fields = pickAffiliateProgramFields(req.body);
+        const program = new AffiliateProgram({ programKey, name: fields.name || programKey, ...fields });
+
+        const validationError = validateAffiliateProgram(program);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        if (await AffiliateProgram.exists({ programKey })) {
+            return res.status(409).json({ error: 'An affiliate program with this programKey already exists' });
+        }
+
+        await program.save();
+        await affiliates.loadPrograms();
+
+        res.status(201).json({ message: 'Affiliate program created', program });
+    } catch (error) {
+        console.error('Error creating affiliate program:', error);
+        res.status(500).json({ error: 'Failed to create affiliate program' });
+    }
+});
+
+// Update an affiliate program (Admin)
+app.put('/api/admin/affiliate-programs/:id', async (req, res) => {
+    try {
+        const program = await AffiliateProgram.findById(req.params.id);
+        if (!program) {
+            return res.status(404).json({ error: 'Affiliate program not found' });
+        }
+
+        Object.assign(program, pickAffiliateProgramFields(req.body), { updatedAt: new Date() });
+
+        const validationError = validateAffiliateProgram(program);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        await program.save();
+        await affiliates.loadPrograms();
+
+        res.json({ message: 'Affiliate program updated', program });
+    } catch (error) {
+        console.error('Error updating affiliate program:', error);
+        res.status(500).json({ error: 'Failed to update affiliate program' });
+    }
+});
+
+// Delete an affiliate program (Admin)
+// Deleting a program seeded from the store registry resets it to the registry defaults;
+// disable it instead to stop attribution.
+app.delete('/api/admin/affiliate-programs/:id', async (req, res) => {
+    try {
+        const program = await AffiliateProgram.findByIdAndDelete(req.params.id);
+        if (!program) {
+            return res.status(404).json({ error: 'Affiliate program not found' });
+        }
+
+        await affiliates.loadPrograms();
+        res.json({ message: 'Affiliate program deleted' });
+    } catch (error) {
+        console.error('Error deleting affiliate program:', error);
+        res.status(500).json({ error: 'Failed to delete affiliate program' });
+    }
+});
+
+// Preview how a product link would be attributed (Admin)
+app.get('/api/admin/affiliate-programs/preview', async (req, res) => {
+    try {
+        const { link, country } = req.query;
+        if (!link) {
+            return res.status(400).json({ error: 'link query parameter is required' });
+        }
+
+        const result = affiliates.applyAffiliate(link, { country: country ? country.toUpperCase() : null });
+        res.json({ originalLink: link, affiliateLink: result.link, programKey: result.programKey });
+    } catch (error) {
+        console.error('Error previewing affiliate link:', error);
+        res.status(400).json({ error: 'Invalid link' });
+    }
+});
+
+// --- Ranking Policies (Admin) ---
+
+const RANKING_POLICY_FIELDS = ['name', 'country', 'category', 'sources', 'blend', 'relevance', 'priceWeight', 'enabled'];
+
+function pickRankingPolicyFields(body) {
+    const fields = {};
+    for (const key of RANKING_POLICY_FIELDS) {
+        if (body[key] !== undefined) fields[key] = body[key];
+    }
+    if (typeof fields.country === 'string') fields.country = fields.country.toUpperCase() || null;
+    if (typeof fields.category === 'string') fields.category = fields.category.toLowerCase() || null;
+    return fields;
+}
+
+// Check a policy is usable before saving; returns an error message or null
+function validateRankingPolicy(policy) {
+    for (const source of policy.sources || []) {
+        if (!storeRegistry.getStore(source.storeId)) {
+            return `Unknown store: ${source.storeId}`;
+        }
+        if (!(source.weight >= 1)) {
+            return `Source weight for ${source.storeId} must be at least 1`;
+        }
+    }
+    const { local, international } = policy.blend || {};
+    if (!(local >= 0) || !(international >= 0) || local + international === 0) {
+        return 'blend.local and blend.international must be non-negative and not both 0';
+    }
+    const { minScore, highScore, tieBand } = policy.relevance || {};
+    if ([minScore, highScore, tieBand].some(v => !(v >= 0 && v <= 1)) || minScore > highScore) {
+        return 'relevance scores must be between 0 and 1 with minScore <= highScore';
+    }
+    if (!(policy.priceWeight >= 0 && policy.priceWeight <= 1)) {
+        return 'priceWeight must be between 0 and 1';
+    }
+    return null;
+}
+
+// List ranking policies (Admin)
+app.get('/api/admin/ranking-policies', async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.country) filter.country = req.query.country.toUpperCase();
+        if (req.query.category) filter.category = req.query.category.toLowerCase();
+
+        const policies = await RankingPolicy.find(filter).sort({ country: 1, category: 1 });
+        res.json({ policies });
+    } catch (error) {
+        console.error('Error fetching ranking policies:', error);
+        res.status(500).json({ error: 'Failed to fetch ranking policies' });
+    }
+});
+
+// Create a ranking policy (Admin)
+app.post('/api/admin/ranking-policies', async (req, res) => {
+    try {
+        const { policyKey } = req.body;
+        if (!policyKey) {
+            return res.status(400).json({ error: 'policyKey is required' });
+        }
+
+        const fields = pickRankingPolicyFields(req.body);
+        const policy = new RankingPolicy({ policyKey, name: fields.name || policyKey, ...fields });
+
+        const validationError = validateRankingPolicy(policy);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        if (await RankingPolicy.exists({ policyKey })) {
+            return res.status(409).json({ error: 'A ranking policy with this policyKey already exists' });
+        }
+
+        await policy.save();
+        await rankingPolicy.loadPolicies();
+
+        res.status(201).json({ message: 'Ranking policy created', policy });
+    } catch (error) {
+        console.error('Error creating ranking policy:', error);
+        res.status(500).json({ error: 'Failed to create ranking policy' });
+    }
+});
+
+// Update a ranking policy (Admin)
+app.put('/api/admin/ranking-policies/:id', async (req, res) => {
+    try {
+        const policy = await RankingPolicy.findById(req.params.id);
+        if (!policy) {
+            return res.status(404).json({ error: 'Ranking policy not found' });
+        }
+
+        policy.set({ ...pickRankingPolicyFields(req.body), updatedAt: new Date() });
+
+        const validationError = validateRankingPolicy(policy);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        await policy.save();
+        await rankingPolicy.loadPolicies();
+
+        res.json({ message: 'Ranking policy updated', policy });
+    } catch (error) {
+        console.error('Error updating ranking policy:', error);
+        res.status(500).json({ error: 'Failed to update ranking policy' });
+    }
+});
+
+// Delete a ranking policy (Admin)
+// Deleting a policy seeded from the store registry resets it to the registry defaults;
+// disable it instead to fall back to a less specific policy.
+app.delete('/api/admin/ranking-policies/:id', async (req, res) => {
+    try {
+        const policy = await RankingPolicy.findByIdAndDelete(req.params.id);
+        if (!policy) {
+            return res.status(404).json({ error: 'Ranking policy not found' });
+        }
+
+        await rankingPolicy.loadPolicies();
+        res.json({ message: 'Ranking policy deleted' });
+    } catch (error) {
+        console.error('Error deleting ranking policy:', error);
+        res.status(500).json({ error: 'Failed to delete ranking policy' });
+    }
+});
+
+// Show which policy applies to a country and category (Admin)
+app.get('/api/admin/ranking-policies/resolve', async (req, res) => {
+    try {
+        const country = (req.query.country || 'NG').toUpperCase();
+        const policy = rankingPolicy.getPolicy(country, req.query.category || null);
+        res.json({ country, category: req.query.category || null, policy });
+    } catch (error) {
+        console.error('Error resolving ranking policy:', error);
+        res.status(500).json({ error: 'Failed to resolve ranking policy' });
+    }
+});
+
+// --- Search Cache (Admin) ---
+// Entries are filtered with ?query=&country=&currency=&category= (query is normalized first)
+
+// List cache entries (Admin)
+app.get('/api/admin/search-cache', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        const entries = await searchCache.listEntries(req.query, limit);
+        res.json({
+            ttlHours: searchCache.TTL_MS / 3600000,
+            maxStaleHours: searchCache.MAX_STALE_MS / 3600000,
+            entries
+        });
+    } catch (error) {
+        console.error('Error listing search cache:', error);
+        res.status(500).json({ error: 'Failed to list search cache' });
+    }
+});
+
+// Popular queries the cache warmer would keep warm, with the job's status (Admin)
+app.get('/api/admin/search-cache/popular', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        const queries = await cacheWarmer.getPopularQueries(limit);
+        res.json({ warmer: cacheWarmer.status(), queries });
+    } catch (error) {
+        console.error('Error fetching popular queries:', error);
+        res.status(500).json({ error: 'Failed to fetch popular queries' });
+    }
+});
+
+// Run a popular-query warming pass now, within the hourly budget (Admin)
+app.post('/api/admin/search-cache/warm-popular', async (req, res) => {
+    try {
+        const run = await cacheWarmer.runOnce();
+        res.json({ run, warmer: cacheWarmer.status() });
+    } catch (error) {
+        console.error('Error running cache warmer:', error);
+        res.status(500).json({ error: 'Failed to run cache warmer' });
+    }
+});
+
+// Inspect one cache entry with its deals (Admin)
+app.get('/api/admin/search-cache/:id', async (req, res) => {
+    try {
+        const entry = await SearchResult.findById(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Cache entry not found' });
+        }
+        res.json({ entry });
+    } catch (error) {
+        console.error('Error fetching search cache entry:', error);
+        res.status(500).json({ error: 'Failed to fetch search cache entry' });
+    }
+});
+
+// Purge cache entries matching the filter (Admin)
+// Requires at least one filter, or ?all=true to empty the cache; ?olderThanHours= narrows it.
+app.delete('/api/admin/search-cache', async (req, res) => {
+    try {
+        const { query, country, currency, category, olderThanHours, all } = req.query;
+        if (!query && !country && !currency && !category && !olderThanHours && all !== 'true') {
+            return res.status(400).json({ error: 'Provide a filter (query, country, currency, category, olderThanHours) or all=true' });
+        }
+
+        const deleted = await searchCache.purgeEntries({ query, country, currency, category, olderThanHours });
+        res.json({ message: `Purged ${deleted} cache entries`, deleted });
+    } catch (error) {
+        console.error('Error purging search cache:', error);
+        res.status(500).json({ error: 'Failed to purge search cache' });
+    }
+});
+
+// Delete one cache entry (Admin)
+app.delete('/api/admin/search-cache/:id', async (req, res) => {
+    try {
+        const entry = await SearchResult.findByIdAndDelete(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Cache entry not found' });
+        }
+        res.json({ message: 'Cache entry deleted' });
+    } catch (error) {
+        console.error('Error deleting search cache entry:', error);
+        res.status(500).json({ error: 'Failed to delete search cache entry' });
+    }
+});
+
+// Warm the cache by running searches now (Admin)
+// Body: { queries: [...], country, currency, category }; currency defaults to the country's.
+app.post('/api/admin/search-cache/warm', async (req, res) => {
+    try {
+        const { queries, category } = req.body;
+        if (!Array.isArray(queries) || queries.length === 0) {
+            return res.status(400).json({ error: 'queries must be a non-empty array' });
+        }
+        if (queries.length > 20) {
+            return res.status(400).json({ error: 'At most 20 queries can be warmed per request' });
+        }
+        if (!queries.every(query => typeof query === 'string' && query.trim())) {
+            return res.status(400).json({ error: 'Every query must be a non-empty string' });
+        }
+        if (req.body.country !== undefined && !(typeof req.body.country === 'string' && /^[A-Za-z]{2}$/.test(req.body.country))) {
+            return res.status(400).json({ error: 'country must be a two-letter country code' });
+        }
+        if (req.body.currency !== undefined && !currencyService.normalizeCurrency(req.body.currency)) {
+            return res.status(400).json({ error: 'currency must be a three-letter currency code' });
+        }
+        if (category !== undefined && category !== null && typeof category !== 'string') {
+            return res.status(400).json({ error: 'category must be a string' });
+        }
+
+        const country = (req.body.country || 'NG').toUpperCase();
+        const currency = currencyService.normalizeCurrency(req.body.currency) || currencyService.currencyForCountry(country);
+
+        const results = [];
+        for (const query of queries) {
+            const params = { query, country, currency, category };
+            const data = await searchCache.refreshEntry(params);
+            results.push({ key: searchCache.buildCacheKey(params), deals: data?.deals?.length || 0, cached: !!data });
+        }
+
+        res.json({ message: `Warmed ${results.filter(r => r.cached).length} of ${results.length} queries`, results });
+    } catch (error) {
+        console.error('Error warming search cache:', error);
+        res.status(500).json({ error: 'Failed to warm search cache' });
+    }
+});
+
+// --- Analytics (Admin) ---
+// All reports accept ?from=&to= (ISO dates, default last 30 days) and ?format=csv
+
+// Run an analytics report and send it as JSON or CSV
+async function sendAnalyticsReport(req, res, name, runReport) {
+    try {
+        const range = analytics.parseDateRange(req.query);
+        if (!range) {
+            return res.status(400).json({ error: 'Invalid date range. Use ISO dates with from <= to.' });
+        }
+
+        const rows = await runReport(range);
+
+        if (req.query.format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename="${name}-${range.from.toISOString().slice(0, 10)}-${range.to.toISOString().slice(0, 10)}.csv"`);
+            return res.send(analytics.toCsv(rows));
+        }
+
+        res.json({ report: name, from: range.from, to: range.to, rows });
     } catch (error) {
-        console.error('Error fetching clicks:', error);
-        res.status(500).json({ error: 'Failed to fetch click data' });
+        console.error(`Error building ${name} report:`, error);
+        res.status(500).json({ error: 'Failed to build analytics report' });
+    }
+}
+
+// Click-through rate by source, category, query or day
+app.get('/api/admin/analytics/ctr', async (req, res) => {
+    const groupBy = req.query.groupBy || 'source';
+    if (!['source', 'category', 'query', 'day', 'program'].includes(groupBy)) {
+        return res.status(400).json({ error: 'groupBy must be one of: source, category, query, day, program' });
     }
+
+    const limit = parseInt(req.query.limit) || 100;
+    await sendAnalyticsReport(req, res, `ctr-by-${groupBy}`, range => analytics.clickThroughRate(range, groupBy, { limit }));
+});
+
+// Top clicked products
+app.get('/api/admin/analytics/top-products', async (req, res) => {
+    const limit = parseInt(req.query.limit) || 20;
+    await sendAnalyticsReport(req, res, 'top-products', range => analytics.topClickedProducts(range, { limit }));
+});
+
+// Affiliate vs non-affiliate click share
+app.get('/api/admin/analytics/affiliate-share', async (req, res) => {
+    await sendAnalyticsReport(req, res, 'affiliate-share', range => analytics.affiliateClickShare(range));
+});
+
+// Search → view → cart add funnel
+app.get('/api/admin/analytics/funnel', async (req, res) => {
+    await sendAnalyticsReport(req, res, 'funnel', range => analytics.searchFunnel(range));
 });
 // Product Schema and Model (Vendor Uploaded)
 const productSchema = new mongoose.Schema({
@@ -599,6 +1357,36 @@ const authenticateToken = async (req, res, next) => {
 
 app.use(authenticateToken);
 
+// Authorization middleware built on authenticateToken: only lets through users
+// whose role is one of `roles`. Usage: app.get('/path', requireRole('admin'), handler)
+function requireRole(...roles) {
+    const authorize = async (req, res, next) => {
+        try {
+            if (!req.userId) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+
+            const user = req.user || await User.findById(req.userId).select('-password');
+            if (!user || !roles.includes(user.role)) {
+                return res.status(403).json({ error: `Access denied. ${roles.join(' or ')} role required.` });
+            }
+
+            req.user = user;
+            next();
+        } catch (error) {
+            console.error('Authorization error:', error);
+            res.status(500).json({ error: 'Authorization failed' });
+        }
+    };
+
+    return (req, res, next) => {
+        // Routes registered after app.use(authenticateToken) have already been through it;
+        // only the earlier ones (e.g. /api/admin) need it run here
+        if (req.userId !== undefined) return authorize(req, res, next);
+        authenticateToken(req, res, () => authorize(req, res, next));
+    };
+}
+
 // Legacy Search Functions (SerpAPI/Amazon/eBay/Jumia/Konga) - REMOVED
 // Please rely on /api/search which calls the external Custom Search API.
 
@@ -636,115 +1424,57 @@ async function searchLocalProducts(searchQuery) {
     }
 }
 
-// Helper to prioritize Jumia and interleave other Nigerian results
-async function prioritizeResults(allResults, country = 'NG') {
-    if (!allResults || allResults.length === 0) return [];
-
-    const nigerianResults = allResults.filter(r => r.isNigerian);
-    const foreignResults = allResults.filter(r => !r.isNigerian);
-
-    // For non-Nigerian users, return all results combined
-    if (country !== 'NG') {
-        return [...foreignResults, ...nigerianResults];
-    }
-
-    const jumiaResults = nigerianResults.filter(r => r.source && r.source.toLowerCase().includes('jumia'));
-    const kongaResults = nigerianResults.filter(r => r.source && r.source.toLowerCase().includes('konga'));
-    const ajeboResults = nigerianResults.filter(r => r.source && r.source.toLowerCase().includes('ajebo'));
-    const dexResults = nigerianResults.filter(r => r.source && r.source.toLowerCase().includes('dexstitches'));
-    const jijiResults = nigerianResults.filter(r => r.source && r.source.toLowerCase().includes('jiji'));
-    const slotResults = nigerianResults.filter(r => r.source && r.source.toLowerCase().includes('slot'));
-    const otherNGResults = nigerianResults.filter(r => !jumiaResults.includes(r) && !kongaResults.includes(r) && !ajeboResults.includes(r) && !dexResults.includes(r) && !jijiResults.includes(r) && !slotResults.includes(r));
-
-    const interleavedNigerian = [];
-    const maxNG = Math.max(kongaResults.length, ajeboResults.length, dexResults.length, jijiResults.length, slotResults.length, otherNGResults.length);
-    for (let i = 0; i < maxNG; i++) {
-        if (kongaResults[i]) interleavedNigerian.push(kongaResults[i]);
-        if (ajeboResults[i]) interleavedNigerian.push(ajeboResults[i]);
-        if (dexResults[i]) interleavedNigerian.push(dexResults[i]);
-        if (jijiResults[i]) interleavedNigerian.push(jijiResults[i]);
-        if (slotResults[i]) interleavedNigerian.push(slotResults[i]);
-        if (otherNGResults[i]) interleavedNigerian.push(otherNGResults[i]);
-    }
-
-    // Blending Logic: Jumia first, then 90% other Nigerian (interleaved), 10% International
-    const blendedResults = [...jumiaResults]; // Prioritize ALL Jumia results at the top
-    let ngIndex = 0;
-    let foreignIndex = 0;
-
-    while (ngIndex < interleavedNigerian.length || foreignIndex < foreignResults.length) {
-        // Add up to 9 Nigerian items
-        for (let i = 0; i < 9; i++) {
-            if (ngIndex < interleavedNigerian.length) {
-                blendedResults.push(interleavedNigerian[ngIndex++]);
-            }
-        }
-        // Add 1 International item
-        if (foreignIndex < foreignResults.length) {
-            blendedResults.push(foreignResults[foreignIndex++]);
-        }
-    }
-
-    return blendedResults;
-}
-
 // Unified search: Nigerian platforms (Jumia, Konga) + Amazon + Google Shopping
-async function searchAllSources(searchQuery, user = null, category = 'other') {
+// Prices come back in the display currency (explicit, or from the user's preferences)
+async function searchAllSources(searchQuery, user = null, category = 'other', displayCurrency = null) {
     // Default to Nigeria for all searches
     const country = user?.preferences?.country || 'NG';
+    const currency = displayCurrency || currencyService.resolveDisplayCurrency(user);
 
-    console.log(`🌍 Searching with country preference: ${country}`);
-
-    // Call Local Search and New External Search API in parallel
-    const externalApiUrl = `http://localhost:${process.env.PORT || 3000}/api/search`;
-    console.log(`🌐 Calling External Search API at: ${externalApiUrl}`);
+    console.log(`🌍 Searching with country preference: ${country} (prices in ${currency})`);
 
-    const [localProducts, apiData] = await Promise.all([
+    // Call Local Search and the external store search in parallel
+    const [localProducts, external] = await Promise.all([
         searchLocalProducts(searchQuery).catch(err => {
             console.error('Local search error:', err.message);
             return [];
         }),
-        axios.get(externalApiUrl, {
-            params: { q: searchQuery, category: category || 'other' }
-        }).then(res => res.data).catch(err => {
-            console.error(`External Search API error for ${externalApiUrl}:`, err.message);
-            return { results: [] };
-        })
+        searchService.searchExternal(searchQuery, { category: category || 'other', country })
     ]);
 
-    const apiResults = apiData?.results || [];
+    // A scrapper outage is flagged so callers don't mistake it for no results
+    const upstreamUnavailable = external.status === 'upstream_unavailable';
+    const apiResults = external.results;
     const processedResults = [];
 
     // Process Local Results
+    // Vendor products are listed in NGN
     for (const p of localProducts) {
-        processedResults.push({ ...p, isNigerian: true });
+        processedResults.push({
+            ...p,
+            isNigerian: true,
+            price: await convertCurrency(p.price, 'NGN', currency),
+            currency,
+            originalPrice: p.price,
+            originalCurrency: 'NGN'
+        });
     }
 
     // Helper to parse price string
     const parsePrice = (str) => {
-        if (typeof str === 'number') return { val: str, cur: 'USD' };
-        if (!str) return { val: 0, cur: 'USD' };
-        let cur = 'USD';
-        if (str.includes('EUR') || str.includes('€')) cur = 'EUR';
-        if (str.includes('NGN') || str.includes('₦')) cur = 'NGN';
-        if (str.includes('GBP') || str.includes('£')) cur = 'GBP';
-        const numStr = str.replace(/[^0-9.]/g, '');
-        const val = parseFloat(numStr) || 0;
-        return { val, cur };
+        if (typeof str === 'number') return str;
+        if (!str) return 0;
+        return parseFloat(str.replace(/[^0-9.]/g, '')) || 0;
     };
 
     for (const item of apiResults) {
-        const { val, cur: detectedCur } = parsePrice(item.price);
-        const isNigerianSource = ['Jumia', 'Jiji', 'Konga', 'Slot', 'Ajebo', 'DexStitches'].some(s => item.source && item.source.includes(s));
-        const cur = (isNigerianSource && (!item.price || (!item.price.includes('$') && !item.price.includes('€') && !item.price.includes('£')))) ? 'NGN' : detectedCur;
-
-        let finalPrice = val;
-        if (country === 'NG' && cur !== 'NGN' && typeof convertToNGN === 'function') {
-            finalPrice = await convertToNGN(val, cur);
-        }
+        const val = parsePrice(item.price);
+        const isNigerianSource = storeRegistry.isNigerianSource(item.source);
+        const cur = detectItemCurrency(item.price, item.source);
 
         processedResults.push({
-            price: finalPrice,
+            price: await convertCurrency(val, cur, currency),
+            currency,
             thumbnail: item.thumbnail || item.img,
             link: item.link,
             source: item.source,
@@ -757,8 +1487,8 @@ async function searchAllSources(searchQuery, user = null, category = 'other') {
         });
     }
 
-    const blendedResults = await prioritizeResults(processedResults, country);
-    return { shopping_results: blendedResults };
+    const rankedResults = rankingPolicy.rankDeals(processedResults, { country, category });
+    return { shopping_results: rankedResults, country, currency, upstreamUnavailable };
 }
 
 // Helper function to generate JWT token
@@ -798,12 +1528,13 @@ app.post('/api/register', async (req, res) => {
 
         const hashedPassword = await bcrypt.hash(password, 10);
 
+        // Admin is only granted through /api/admin/users/:id/role
         const user = new User({
             username,
             email,
             password: hashedPassword,
             preferences,
-            role: role || 'user'
+            role: role === 'vendor' ? 'vendor' : 'user'
         });
 
         console.log('💾 Attempting to save user to database...');
@@ -1136,6 +1867,22 @@ app.post('/api/cart', async (req, res) => {
 
         let cart = await Cart.findOne({ $or: [{ userId }, { sessionId }] });
 
+        // Mark the tracked results behind newly added items, for the search → cart funnel
+        const previousLinks = new Set((cart?.items || []).map(i => i.link));
+        const addedLinks = (items || []).map(i => i.link).filter(link => link && !previousLinks.has(link));
+        if (addedLinks.length > 0) {
+            const owner = [userId && { userId }, sessionId && { sessionId }].filter(Boolean);
+            ClickTracking.updateMany(
+                {
+                    $and: [
+                        { $or: owner },
+                        { $or: [{ affiliateLink: { $in: addedLinks } }, { originalLink: { $in: addedLinks } }] }
+                    ]
+                },
+                { $set: { addedToCart: true, addedToCartAt: new Date() } }
+            ).catch(err => console.error('Error marking cart adds in tracking data:', err.message));
+        }
+
         if (!cart) {
             cart = new Cart({
                 userId: userId || undefined,
@@ -1199,7 +1946,7 @@ app.delete('/api/cart', async (req, res) => {
 // Create a scheduled search (Party)
 app.post('/api/party', authenticateToken, async (req, res) => {
     try {
-        const { itemName, searchQuery, searchFrequencyHours, aiStyle, stores, maxPrice, minPrice, notificationChannel } = req.body;
+        const { itemName, searchQuery, searchFrequencyHours, aiStyle, stores, maxPrice, minPrice, currency, priceDropPercent, priceDropAmount, notificationChannel } = req.body;
 
         if (!req.userId) {
             return res.status(401).json({ error: 'Unauthorized' });
@@ -1215,13 +1962,17 @@ app.post('/api/party', authenticateToken, async (req, res) => {
             searchQuery,
             searchFrequencyHours: searchFrequencyHours || 12,
             aiStyle: aiStyle || 'Balanced',
-            stores: stores && stores.length ? stores : ['amazon', 'ebay', 'walmart', 'bestbuy'],
+            stores: stores && stores.length ? stores : [],
             maxPrice: maxPrice || null,
             minPrice: minPrice || 0,
+            currency: currency || 'NGN',
+            priceDropPercent: priceDropPercent ?? 5,
+            priceDropAmount: priceDropAmount || null,
             notificationChannel: notificationChannel || 'in_app'
         });
 
         await party.save();
+        await searchQueue.enqueueParty(party);
 
         res.status(201).json({
             message: 'Party created successfully',
@@ -1253,7 +2004,7 @@ app.get('/api/party', authenticateToken, async (req, res) => {
 app.put('/api/party/:id', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
-        const { itemName, searchQuery, searchFrequencyHours, aiStyle, stores, maxPrice, minPrice, active, notificationChannel } = req.body;
+        const { itemName, searchQuery, searchFrequencyHours, aiStyle, stores, maxPrice, minPrice, currency, priceDropPercent, priceDropAmount, active, notificationChannel } = req.body;
 
         if (!req.userId) {
             return res.status(401).json({ error: 'Unauthorized' });
@@ -1270,6 +2021,9 @@ app.put('/api/party/:id', authenticateToken, async (req, res) => {
                     stores,
                     maxPrice,
                     minPrice,
+                    currency,
+                    priceDropPercent,
+                    priceDropAmount,
                     active,
                     notificationChannel
                 }
@@ -1281,6 +2035,8 @@ app.put('/api/party/:id', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'Party not found' });
         }
 
+        await searchQueue.enqueueParty(party);
+
         res.json({
             message: 'Party updated successfully',
             party
@@ -1306,6 +2062,8 @@ app.delete('/api/party/:id', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'Party not found' });
         }
 
+        await searchQueue.removeParty(result._id);
+
         res.json({ message: 'Party deleted successfully' });
     } catch (error) {
         console.error('Delete party error:', error);
@@ -1359,6 +2117,7 @@ app.put('/api/search-parties/:id/toggle', authenticateToken, async (req, res) =>
 
         party.active = !party.active;
         await party.save();
+        await searchQueue.enqueueParty(party);
 
         res.json({
             message: 'Party status updated',
@@ -1415,6 +2174,107 @@ app.put('/api/party-notifications/:id/read', authenticateToken, async (req, res)
     }
 });
 
+// Get price history series for a product
+// Identify the product by `key` (deal.productKey) or by `source` + `link`/`title`.
+// Snapshots are recorded by Search Party runs, so users only see the ones from their own parties.
+app.get('/api/price-history', authenticateToken, async (req, res) => {
+    try {
+        if (!req.userId) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const { key, source, link, title, days } = req.query;
+
+        if (!key && !(source && (link || title))) {
+            return res.status(400).json({ error: 'Either key, or source with link or title, is required' });
+        }
+        if (days !== undefined && !/^[1-9]\d{0,3}$/.test(String(days))) {
+            return res.status(400).json({ error: 'days must be a whole number from 1 to 9999' });
+        }
+
+        const productKey = key || priceHistory.productKey({ source, link, title });
+        const since = days ? new Date(Date.now() - parseInt(days, 10) * 24 * 60 * 60 * 1000) : null;
+        const partyIds = (await Party.find({ userId: req.userId }).select('_id').lean()).map(p => p._id);
+
+        const series = partyIds.length > 0
+            ? await priceHistory.getPriceHistory(productKey, { since, partyId: partyIds })
+            : [];
+        const prices = series.map(p => p.price);
+
+        res.json({
+            productKey,
+            series,
+            count: series.length,
+            lowest: prices.length ? Math.min(...prices) : null,
+            highest: prices.length ? Math.max(...prices) : null,
+            latest: prices.length ? prices[prices.length - 1] : null
+        });
+    } catch (error) {
+        console.error('Get price history error:', error);
+        res.status(500).json({ error: 'Failed to retrieve price history' });
+    }
+});
+
+// Latest exchange rates with their age and provider
+app.get('/api/exchange-rates', async (req, res) => {
+    try {
+        const rateSet = await exchangeRates.getLatestRates();
+        res.json({ ...rateSet, maxAgeHours: exchangeRates.MAX_AGE_MS / (60 * 60 * 1000) });
+    } catch (error) {
+        console.error('Get exchange rates error:', error);
+        res.status(500).json({ error: 'Failed to retrieve exchange rates' });
+    }
+});
+
+// Exchange rate snapshot history, newest first (?currency=NGN&days=30)
+app.get('/api/exchange-rates/history', async (req, res) => {
+    try {
+        const { currency, days } = req.query;
+        const since = days ? new Date(Date.now() - parseInt(days, 10) * 24 * 60 * 60 * 1000) : null;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+        const snapshots = await exchangeRates.getRateHistory({
+            since,
+            currency: currencyService.normalizeCurrency(currency),
+            limit
+        });
+
+        res.json({ base: exchangeRates.BASE_CURRENCY, snapshots, count: snapshots.length });
+    } catch (error) {
+        console.error('Get exchange rate history error:', error);
+        res.status(500).json({ error: 'Failed to retrieve exchange rate history' });
+    }
+});
+
+// Convert an amount, optionally as of a past moment (?at=<deal.rateAsOf>) to reproduce a cached price
+app.get('/api/exchange-rates/convert', async (req, res) => {
+    try {
+        const amount = parseFloat(req.query.amount);
+        const from = currencyService.normalizeCurrency(req.query.from);
+        const to = currencyService.normalizeCurrency(req.query.to);
+        const at = req.query.at ? new Date(req.query.at) : null;
+
+        if (isNaN(amount) || !from || !to) {
+            return res.status(400).json({ error: 'amount, from and to are required' });
+        }
+        if (at && isNaN(at.getTime())) {
+            return res.status(400).json({ error: 'at must be an ISO date' });
+        }
+
+        const rateSet = at ? await exchangeRates.getRatesAsOf(at) : await exchangeRates.getLatestRates();
+        const converted = currencyService.convertWithRates(amount, from, to, rateSet.rates);
+
+        if (converted === null) {
+            return res.status(400).json({ error: `No rate available for ${from} → ${to}` });
+        }
+
+        res.json({ amount, from, to, converted, rateAsOf: rateSet.asOf, provider: rateSet.provider, stale: rateSet.stale });
+    } catch (error) {
+        console.error('Convert currency error:', error);
+        res.status(500).json({ error: 'Failed to convert currency' });
+    }
+});
+
 // Get user's conversation history
 app.get('/api/conversations', authenticateToken, async (req, res) => {
     try {
@@ -1576,8 +2436,12 @@ function generateSessionId(req) {
 const conversationHistory = new Map();
 
 // Search Result Schema for persistent caching
+// Keyed on normalized query, country, currency and category (see services/searchCache.js)
 const searchResultSchema = new mongoose.Schema({
-    query: { type: String, required: true, unique: true, index: true },
+    query: { type: String, required: true, unique: true, index: true }, // cache key
+    normalizedQuery: { type: String, index: true },
+    country: { type: String },
+    category: { type: String },
     deals: [
         {
             title: String,
@@ -1586,9 +2450,27 @@ const searchResultSchema = new mongoose.Schema({
             link: String,
             image: String,
             rating: String,
-            reviews: String
+            reviews: String,
+            productKey: String,
+            originalLink: String,
+            affiliateProgram: String,
+            currency: String,
+            originalPrice: Number,
+            originalCurrency: String,
+            rateAsOf: Date,
+            rateStale: Boolean,
+            rankReason: String,
+            attributes: {
+                brand: String,
+                model: String,
+                capacity: String,
+                size: String,
+                condition: String,
+                color: String
+            }
         }
     ],
+    currency: { type: String, default: 'NGN' }, // Display currency every deal is priced in
     totalValid: Number,
     aiDealSummary: String,
     lastUpdated: { type: Date, default: Date.now }
@@ -1611,56 +2493,6 @@ const sharedLinkSchema = new mongoose.Schema({
 
 const SharedLink = mongoose.model('SharedLink', sharedLinkSchema);
 
-// Database cache configuration
-const DB_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
-
-async function getCachedSearch(query) {
-    try {
-        const normalizedQuery = query.toLowerCase().trim();
-        const cached = await SearchResult.findOne({ query: normalizedQuery });
-
-        if (cached && Date.now() - cached.lastUpdated.getTime() < DB_CACHE_TTL) {
-            console.log(`✅ DB Cache hit for query: "${query}"`);
-            return {
-                deals: cached.deals,
-                totalValid: cached.totalValid,
-                aiDealSummary: cached.aiDealSummary
-            };
-        }
-
-        if (cached) {
-            console.log(`⏰ DB Cache expired for query: "${query}"`);
-            // We don't delete immediately, we'll just overwrite it when we get new results
-        }
-        return null;
-    } catch (error) {
-        console.error('Cache read error:', error);
-        return null;
-    }
-}
-
-async function setCachedSearch(query, data) {
-    try {
-        const normalizedQuery = query.toLowerCase().trim();
-
-        await SearchResult.findOneAndUpdate(
-            { query: normalizedQuery },
-            {
-                deals: data.deals,
-                totalValid: data.totalValid,
-                aiDealSummary: data.aiDealSummary,
-                lastUpdated: new Date()
-            },
-            { upsert: true, new: true }
-        );
-        console.log(`💾 Saved search results to DB for: "${query}"`);
-    } catch (error) {
-        console.error('Cache write error:', error);
-    }
-}
-
-
-
 // Product search and AI helper functions moved to aiService
 
 // Product search and AI helper functions moved to aiService
@@ -1701,53 +2533,13 @@ function ensureValidProductLink(originalLink, title, source) {
                 return '#';
             }
 
-            const sourceLower = source.toLowerCase();
-
-            const baseUrls = {
-                'amazon': 'https://amazon.com',
-                'amazon.com': 'https://amazon.com',
-                'ebay': 'https://ebay.com/sch/i.html',
-                'ebay.com': 'https://ebay.com/sch/i.html',
-                'walmart': 'https://walmart.com/search',
-                'walmart.com': 'https://walmart.com/search',
-                'best buy': 'https://bestbuy.com/site/searchpage.jsp',
-                'bestbuy': 'https://bestbuy.com/site/searchpage.jsp',
-                'bestbuy.com': 'https://bestbuy.com/site/searchpage.jsp',
-                'newegg': 'https://newegg.com/p',
-                'newegg.com': 'https://newegg.com/p'
-            };
-
-            let baseUrl = baseUrls[sourceLower];
-
-            if (!baseUrl) {
-                for (const [key, url] of Object.entries(baseUrls)) {
-                    if (sourceLower.includes(key)) {
-                        baseUrl = url;
-                        break;
-                    }
-                }
-            }
+            const manufacturedUrl = storeRegistry.manufactureLink(source, title);
 
-            if (!baseUrl) {
+            if (!manufacturedUrl) {
                 console.warn(`⚠️ Could not determine base URL for source "${source}". Using '#' as fallback.`);
                 return '#';
             }
 
-            const formattedQuery = encodeURIComponent(title.trim());
-            let manufacturedUrl;
-
-            if (sourceLower.includes('amazon')) {
-                manufacturedUrl = `${baseUrl}/s?k=${formattedQuery}`;
-            } else if (sourceLower.includes('ebay')) {
-                manufacturedUrl = `${baseUrl}?_nkw=${formattedQuery}`;
-            } else if (sourceLower.includes('walmart')) {
-                manufacturedUrl = `${baseUrl}?query=${formattedQuery}`;
-            } else if (sourceLower.includes('best')) {
-                manufacturedUrl = `${baseUrl}?st=${formattedQuery}`;
-            } else {
-                manufacturedUrl = `${baseUrl}/${formattedQuery}`;
-            }
-
             console.log(`✅ Manufactured new product link for "${title}": ${manufacturedUrl}`);
             return manufacturedUrl;
         }
@@ -1775,82 +2567,10 @@ function ensureValidProductLink(originalLink, title, source) {
             return '#';
         }
 
-        const sourceLower = source.toLowerCase();
-        const formattedQuery = encodeURIComponent(title.trim());
-
-        if (sourceLower.includes('amazon')) {
-            return `https://amazon.com/s?k=${formattedQuery}`;
-        } else if (sourceLower.includes('ebay')) {
-            return `https://ebay.com/sch/i.html?_nkw=${formattedQuery}`;
-        } else if (sourceLower.includes('walmart')) {
-            return `https://walmart.com/search?query=${formattedQuery}`;
-        } else if (sourceLower.includes('best')) {
-            return `https://bestbuy.com/site/searchpage.jsp?st=${formattedQuery}`;
-        }
-
-        return '#';
-    }
-}
-
-// Fetch and Store Exchange Rates in Database (Cron Job Function)
-async function fetchAndStoreExchangeRates() {
-    try {
-        console.log('💱 Fetching fresh exchange rates from API...');
-        const response = await axios.get(`https://v6.exchangerate-api.com/v6/${EXCHANGE_RATE_API_KEY}/latest/USD`);
-
-        if (response.data && response.data.result === 'success') {
-            const rates = response.data.conversion_rates;
-
-            // Store in database
-            await ExchangeRate.findOneAndUpdate(
-                { baseCurrency: 'USD' },
-                {
-                    baseCurrency: 'USD',
-                    rates: rates,
-                    lastUpdated: new Date()
-                },
-                { upsert: true, new: true }
-            );
-
-            console.log('✅ Exchange rates fetched and stored in database successfully.');
-            return true;
-        } else {
-            console.error('❌ Failed to fetch exchange rates from API:', response.data);
-            return false;
-        }
-    } catch (error) {
-        console.error('❌ Error fetching and storing exchange rates:', error.message);
-        return false;
-    }
-}
-
-// Get Exchange Rates from Database
-async function getExchangeRates() {
-    try {
-        const exchangeRateDoc = await ExchangeRate.findOne({ baseCurrency: 'USD' });
-
-        if (!exchangeRateDoc) {
-            console.warn('⚠️ No exchange rates found in database. Fetching now...');
-            await fetchAndStoreExchangeRates();
-            // Try again after fetching
-            const newDoc = await ExchangeRate.findOne({ baseCurrency: 'USD' });
-            if (newDoc) {
-                return Object.fromEntries(newDoc.rates);
-            }
-            return null;
-        }
-
-        // Convert Map to plain object for compatibility
-        const rates = Object.fromEntries(exchangeRateDoc.rates);
-        console.log('✅ Retrieved exchange rates from database.');
-        return rates;
-    } catch (error) {
-        console.error('❌ Error retrieving exchange rates from database:', error.message);
-        return null;
+        return storeRegistry.manufactureLink(source, title) || '#';
     }
 }
 
-
 // Detect Currency from Price String
 function detectCurrency(priceStr, source) {
     if (typeof priceStr !== 'string') {
@@ -1866,72 +2586,55 @@ function detectCurrency(priceStr, source) {
     if (upper.includes('€') || upper.includes('EUR')) return 'EUR';
     if (upper.includes('$') || upper.includes('USD')) return 'USD';
 
-    // Fallback based on source if possible, otherwise USD
-    if (source && source.toLowerCase().includes('amazon.co.uk')) return 'GBP';
-
-    return 'USD'; // Default
+    // Fallback to the store's native currency if registered, otherwise USD
+    return storeRegistry.getStoreCurrency(source) || 'USD';
 }
 
-// Convert Price to NGN
-async function convertToNGN(price, currency) {
-    if (currency === 'NGN') return price;
-
-    const rates = await getExchangeRates();
-    if (!rates) return price; // Fallback to original if no rates
-
-    const ngnRate = rates['NGN'];
-    const fromRate = rates[currency];
+// True when any deal was converted with rates older than the maxAge policy (or the offline fallback)
+function hasStaleRates(deals) {
+    return (deals || []).some(d => d.rateStale);
+}
 
-    if (!ngnRate || !fromRate) return price;
+// Currency a scraped price is quoted in: the store's own currency for registered
+// local stores unless the price carries a foreign symbol, otherwise detected from the string
+function detectItemCurrency(price, source) {
+    const hasForeignSymbol = typeof price === 'string' && ['$', '€', '£'].some(sym => price.includes(sym));
+    if (storeRegistry.isNigerianSource(source) && !hasForeignSymbol) {
+        return storeRegistry.getStoreCurrency(source);
+    }
+    return detectCurrency(price, source);
+}
 
-    // Convert to USD first (base), then to NGN
-    // Rate is "How much of X for 1 USD"
-    // Amount in USD = Amount / Rate(X)
-    // Amount in NGN = Amount in USD * Rate(NGN)
+// Convert an amount between any two currencies using the latest stored rates.
+// Returns the amount unchanged when no rate is available.
+async function convertCurrency(amount, from, to) {
+    if (from === to) return amount;
 
-    const priceInUSD = price / fromRate;
-    const priceInNGN = priceInUSD * ngnRate;
+    const { rates } = await exchangeRates.getLatestRates();
+    const converted = currencyService.convertWithRates(amount, from, to, rates);
 
-    return Math.round(priceInNGN); // Round to nearest Naira
+    return converted === null ? amount : converted;
 }
 
-// Add affiliate code to product links
-function addAffiliateLink(link, source) {
+// Add affiliate code to product links.
+// Returns { link, programKey } so the attributed AffiliateProgram can be recorded.
+function addAffiliateLink(link, source, country = null) {
     try {
         if (!link || link === '#') {
             console.warn('⚠️ Cannot add affiliate to invalid link:', link);
-            return link;
-        }
-
-        const url = new URL(link);
-        const hostname = url.hostname.toLowerCase();
-
-        if (AFFILIATE_CONFIGS.amazon.enabled &&
-            AFFILIATE_CONFIGS.amazon.domains.some(domain => hostname.includes(domain))) {
-            url.searchParams.set('tag', AFFILIATE_CONFIGS.amazon.tag);
-            console.log(`🔗 Added Amazon affiliate tag to link`);
-            return url.toString();
-        }
-
-        if (AFFILIATE_CONFIGS.ebay.enabled &&
-            AFFILIATE_CONFIGS.ebay.domains.some(domain => hostname.includes(domain))) {
-            url.searchParams.set('campid', AFFILIATE_CONFIGS.ebay.campaignId);
-            console.log(`🔗 Added eBay affiliate campaign ID to link`);
-            return url.toString();
+            return { link, programKey: null };
         }
 
-        if (AFFILIATE_CONFIGS.walmart.enabled &&
-            AFFILIATE_CONFIGS.walmart.domains.some(domain => hostname.includes(domain))) {
-            url.searchParams.set('publisherId', AFFILIATE_CONFIGS.walmart.publisherId);
-            console.log(`🔗 Added Walmart publisher ID to link`);
-            return url.toString();
+        const result = affiliates.applyAffiliate(link, { country });
+        if (result.programKey) {
+            console.log(`🔗 Attributed link to affiliate program ${result.programKey}`);
+        } else {
+            console.log(`ℹ️ No affiliate program matched for host: ${new URL(link).hostname}`);
         }
-
-        console.log(`ℹ️ No affiliate configuration matched for host: ${hostname}`);
-        return link;
+        return result;
     } catch (error) {
         console.error('Error adding affiliate to link:', error.message);
-        return link;
+        return { link, programKey: null };
     }
 }
 
@@ -1978,26 +2681,85 @@ function checkRelevance(title, searchQuery) {
     return score;
 }
 
-// Find best deals with affiliate tracking
-// Amazon (from PA-API) is treated as the primary source, other stores are secondary
-async function findBestDeals(results, searchQuery = '', userId = null, sessionId = null, category = null, onProgress = null) {
+// Impressions for the deals a user is actually shown. Each deal gets a fresh trackingId and
+// /r/:trackingId link, so cached deals are never shared between users. Without a user or
+// session nothing is recorded and the deals are returned without tracking fields.
+// Returns new deal objects; the input (e.g. a cached result) is left untouched.
+function trackImpressions(deals, { userId = null, sessionId = null, searchQuery = '', category = null } = {}) {
+    if (!deals || deals.length === 0) return deals;
+
+    const trackingData = [];
+    const tracked = deals.map((original) => {
+        const deal = typeof original.toObject === 'function' ? original.toObject() : { ...original };
+        delete deal.trackingId;
+        delete deal.trackingUrl;
+        if (!userId && !sessionId) return deal;
+
+        const trackingId = new mongoose.Types.ObjectId();
+        trackingData.push({
+            _id: trackingId,
+            userId: userId,
+            sessionId: sessionId,
+            productTitle: deal.title,
+            originalLink: deal.originalLink || deal.link,
+            affiliateLink: deal.link,
+            affiliateProgram: deal.affiliateProgram || undefined,
+            source: deal.source,
+            price: deal.originalPrice ?? deal.price,
+            searchQuery: searchQuery,
+            category: category || undefined,
+            clicked: false
+        });
+        return { ...deal, trackingId: String(trackingId), trackingUrl: `${PUBLIC_API_URL}/r/${trackingId}` };
+    });
+
+    if (trackingData.length > 0) {
+        ClickTracking.insertMany(trackingData, { ordered: false })
+            .then(() => console.log(`💾 Batch saved ${trackingData.length} tracking records`))
+            .catch(err => console.error('Error batch saving tracking data:', err.message));
+    }
+    return tracked;
+}
+
+// Convert prices, add affiliate links and drop duplicates, low-relevance items and items
+// without a usable link: the per-deal part of findBestDeals, without the Gemini relevance
+// pass, attribute extraction or ordering. Resolves to { deals, policy } where policy is the
+// ranking policy for the results' country and the query's category.
+async function prepareDeals(results, searchQuery = '', category = null) {
     if (!results || !results.shopping_results) {
-        return { deals: null, totalValid: null };
+        return { deals: [], policy: rankingPolicy.getPolicy(results?.country || 'NG', category) };
     }
 
     const shoppingResults = results.shopping_results;
+    const displayCurrency = results.currency || currencyService.currencyForCountry(results.country);
+    // One rate set for the whole search so every deal is converted as of the same snapshot
+    const rateSet = await exchangeRates.getLatestRates();
     const validResults = [];
-    const trackingData = []; // Collect tracking data for batch save
     const seenItems = new Set(); // START DEDUPLICATION
 
-    console.log(`🔍 findBestDeals: Input results count: ${shoppingResults.length}`);
+    // Detect if this is a gadget or fashion query to pick the ranking policy
+    let rankingCategory = category;
+    if (!rankingCategory) {
+        // Fallback to keyword detection if category not provided
+        const gadgetKeywords = ['phone', 'laptop', 'tablet', 'headphone', 'earphone', 'airpod', 'watch', 'smartwatch',
+            'speaker', 'computer', 'monitor', 'keyboard', 'mouse', 'camera', 'tv', 'television',
+            'console', 'playstation', 'xbox', 'gadget', 'electronic', 'charger', 'cable', 'adapter', 'power bank', 'powerbank'];
+        const fashionKeywords = ['shirt', 'pant', 'shoe', 'sneaker', 'dress', 'jacket', 'cloth', 'wear', 'bag', 'fashion', 'jean', 'jeans', 'hoodie', 'sweater', 'boutique'];
+        const queryLower = searchQuery.toLowerCase();
+
+        if (gadgetKeywords.some(keyword => queryLower.includes(keyword))) rankingCategory = 'gadget';
+        else if (fashionKeywords.some(keyword => queryLower.includes(keyword))) rankingCategory = 'fashion';
+    }
+    const policy = rankingPolicy.getPolicy(results.country || 'NG', rankingCategory);
+
+    console.log(`🔍 prepareDeals: Input results count: ${shoppingResults.length}`);
 
     for (const item of shoppingResults) {
         if (!item.price) continue;
 
         const priceStr =
             typeof item.price === 'string'
-                ? item.price.replace(/[$,₦]/g, '')
+                ? item.price.replace(/[^0-9.]/g, '')
                 : String(item.price);
         const price = parseFloat(priceStr);
 
@@ -2033,50 +2795,28 @@ async function findBestDeals(results, searchQuery = '', userId = null, sessionId
 
         const validLink = ensureValidProductLink(originalLink, title, source);
 
-        const affiliateLink = addAffiliateLink(validLink, source);
+        const { link: affiliateLink, programKey: affiliateProgram } = addAffiliateLink(validLink, source, results.country);
 
         console.log(`🔗 Product: "${title.substring(0, 50)}..." → ${affiliateLink}`);
 
-        if (userId || sessionId) {
-            trackingData.push({
-                userId: userId,
-                sessionId: sessionId,
-                productTitle: title,
-                originalLink: originalLink,
-                affiliateLink: affiliateLink,
-                source: source,
-                price: price,
-                searchQuery: searchQuery,
-                clicked: false
-            });
-        }
-
-        // Check if source is Nigerian platform (prices already in NGN)
-        const isNigerianSource = source && (
-            source.toLowerCase().includes('jumia') ||
-            source.toLowerCase().includes('konga') ||
-            source.toLowerCase().includes('jiji') ||
-            source.toLowerCase().includes('slot') ||
-            source.toLowerCase().includes('ajebo') ||
-            source.toLowerCase().includes('dexstitches')
-        );
-
-        let convertedPrice;
-        if (isNigerianSource) {
-            // Nigerian platforms already have NGN prices, no conversion needed
-            convertedPrice = price;
-            console.log(`💚 Nigerian source detected (${source}): Price already in NGN: ₦${price}`);
-        } else {
-            // International sources need conversion
-            const currency = detectCurrency(item.price, source);
-            convertedPrice = await convertToNGN(price, currency);
-            console.log(`🔄 Converting ${currency} ${price} to NGN: ₦${convertedPrice}`);
+        // Price the deal in the display currency from what the store quoted. Items from
+        // searchAllSources carry their quoted price; raw scrapper items are detected here.
+        const hasQuotedPrice = typeof item.originalPrice === 'number' && item.originalCurrency;
+        const originalPrice = hasQuotedPrice ? item.originalPrice : price;
+        const originalCurrency = hasQuotedPrice ? item.originalCurrency : detectItemCurrency(item.price, source);
+        const isConverted = originalCurrency !== displayCurrency;
+        const convertedPrice = isConverted
+            ? (currencyService.convertWithRates(originalPrice, originalCurrency, displayCurrency, rateSet.rates) ?? originalPrice)
+            : originalPrice;
+
+        if (isConverted) {
+            console.log(`🔄 Converting ${originalCurrency} ${originalPrice} to ${displayCurrency}: ${convertedPrice}`);
         }
 
         const relevance = checkRelevance(title, searchQuery);
 
         // Filter out very low relevance results (only if we have a search query)
-        if (searchQuery && relevance < 0.4) {
+        if (searchQuery && relevance < policy.relevance.minScore) {
             console.log(`🗑️ Filtering low relevance item: "${title}" (Score: ${relevance})`);
             continue;
         }
@@ -2084,48 +2824,65 @@ async function findBestDeals(results, searchQuery = '', userId = null, sessionId
         validResults.push({
             title,
             price: convertedPrice,
-            originalPrice: price,
-            originalCurrency: isNigerianSource ? 'NGN' : detectCurrency(item.price, source),
+            currency: displayCurrency,
+            originalPrice,
+            originalCurrency,
+            // Snapshot the conversion used (reproducible via /api/exchange-rates/convert?at=rateAsOf)
+            ...(isConverted ? { rateAsOf: rateSet.asOf, rateStale: rateSet.stale } : {}),
             source,
             link: affiliateLink,
+            originalLink,
+            affiliateProgram,
             image: imageUrl,
             rating: item.rating || 'N/A',
             reviews: item.reviews || 'N/A',
-            relevance: relevance
+            relevance: relevance,
+            productKey: priceHistory.productKey({ source, title, link: validLink })
         });
     }
 
-    // Batch save tracking data
-    if (trackingData.length > 0) {
-        ClickTracking.insertMany(trackingData, { ordered: false })
-            .then(() => console.log(`💾 Batch saved ${trackingData.length} tracking records`))
-            .catch(err => console.error('Error batch saving tracking data:', err.message));
-    }
+    // Filter out items without valid links (excluding '#', empty, null, or undefined)
+    const deals = validResults.filter((d) =>
+        d.link && d.link !== '#' && d.link.trim() !== ''
+    );
+
+    console.log(`📊 Filtered ${validResults.length} items → ${deals.length} items with valid links`);
+    return { deals, policy };
+}
 
-    if (onProgress) onProgress(`Cleaning and standardizing ${validResults.length} potential deals...`, validResults.length);
+// Find best deals with affiliate links (impressions are recorded by trackImpressions when deals are shown)
+// Amazon (from PA-API) is treated as the primary source, other stores are secondary
+// Gemini relevance filter over prepared deals. Only the top 20 are sent to keep it fast and
+// token-efficient; the rest are kept as they are.
+async function aiRelevancePass(deals, searchQuery) {
+    console.log(`🤖 Starting AI relevance pass for: "${searchQuery}"`);
+    const batchForAI = deals.slice(0, 20);
+    const remaining = deals.slice(20);
+
+    const aiFilteredBatch = await aiService.rankResultsWithAI(searchQuery, batchForAI);
+    const kept = [...aiFilteredBatch, ...remaining];
+    console.log(`✅ AI Pass complete: Kept ${kept.length} results`);
+    return kept;
+}
 
-    if (validResults.length === 0) {
+async function findBestDeals(results, searchQuery = '', category = null, onProgress = null) {
+    if (!results || !results.shopping_results) {
         return { deals: null, totalValid: null };
     }
 
-    // Filter out items without valid links (excluding '#', empty, null, or undefined)
-    let resultsWithValidLinks = validResults.filter((d) =>
-        d.link && d.link !== '#' && d.link.trim() !== ''
-    );
+    const { deals: preparedDeals, policy } = await prepareDeals(results, searchQuery, category);
+    if (onProgress) onProgress(`Cleaning and standardizing ${preparedDeals.length} potential deals...`, preparedDeals.length);
+
+    if (preparedDeals.length === 0) {
+        return { deals: null, totalValid: null };
+    }
 
-    console.log(`📊 Filtered ${validResults.length} items → ${resultsWithValidLinks.length} items with valid links`);
+    let resultsWithValidLinks = preparedDeals;
 
     // AI Pass: Filter results using Gemini for high accuracy
     if (searchQuery && resultsWithValidLinks.length > 0) {
         if (onProgress) onProgress(`Analyzing ${resultsWithValidLinks.length} results with AI to ensure maximum relevance...`, resultsWithValidLinks.length);
-        console.log(`🤖 Starting AI relevance pass for: "${searchQuery}"`);
-        // Limit to top 20 for AI to keep it fast and token-efficient
-        const batchForAI = resultsWithValidLinks.slice(0, 20);
-        const remaining = resultsWithValidLinks.slice(20);
-
-        const aiFilteredBatch = await aiService.rankResultsWithAI(searchQuery, batchForAI);
-        resultsWithValidLinks = [...aiFilteredBatch, ...remaining];
-        console.log(`✅ AI Pass complete: Kept ${resultsWithValidLinks.length} results`);
+        resultsWithValidLinks = await aiRelevancePass(resultsWithValidLinks, searchQuery);
         if (onProgress) onProgress(`AI analysis complete! Curated ${resultsWithValidLinks.length} prime deals.`, resultsWithValidLinks.length);
     }
 
@@ -2133,118 +2890,32 @@ async function findBestDeals(results, searchQuery = '', userId = null, sessionId
         return { deals: null, totalValid: null };
     }
 
-    // Detect if this is a gadget or fashion query
-    let isGadgetQuery = false;
-    let isFashionQuery = false;
-
-    if (category) {
-        isGadgetQuery = category === 'gadget';
-        isFashionQuery = category === 'fashion';
-    } else {
-        // Fallback to keyword detection if category not provided
-        const gadgetKeywords = ['phone', 'laptop', 'tablet', 'headphone', 'earphone', 'airpod', 'watch', 'smartwatch',
-            'speaker', 'computer', 'monitor', 'keyboard', 'mouse', 'camera', 'tv', 'television',
-            'console', 'playstation', 'xbox', 'gadget', 'electronic', 'charger', 'cable', 'adapter', 'power bank', 'powerbank'];
-        isGadgetQuery = gadgetKeywords.some(keyword =>
-            searchQuery.toLowerCase().includes(keyword)
-        );
-
-        const fashionKeywords = ['shirt', 'pant', 'shoe', 'sneaker', 'dress', 'jacket', 'cloth', 'wear', 'bag', 'fashion', 'jean', 'jeans', 'hoodie', 'sweater', 'boutique'];
-        isFashionQuery = fashionKeywords.some(keyword =>
-            searchQuery.toLowerCase().includes(keyword)
-        );
-    }
-
-    const amazonResults = resultsWithValidLinks.filter((d) =>
-        d.source && d.source.toLowerCase().includes('amazon')
-    );
-    const jumiaResults = resultsWithValidLinks.filter((d) =>
-        d.source && d.source.toLowerCase().includes('jumia')
-    );
-    const slotResults = resultsWithValidLinks.filter((d) =>
-        d.source && d.source.toLowerCase().includes('slot')
-    );
-    const kongaResults = resultsWithValidLinks.filter((d) =>
-        d.source && d.source.toLowerCase().includes('konga')
-    );
-    const jijiResults = resultsWithValidLinks.filter((d) =>
-        d.source && d.source.toLowerCase().includes('jiji')
-    );
-    const ajeboResults = resultsWithValidLinks.filter((d) =>
-        d.source && d.source.toLowerCase().includes('ajebo')
-    );
-    const dexStitchesResults = resultsWithValidLinks.filter((d) =>
-        d.source && d.source.toLowerCase().includes('dexstitches')
-    );
-    const otherResults = resultsWithValidLinks.filter(
-        (d) => !d.source ||
-            (!d.source.toLowerCase().includes('amazon') &&
-                !d.source.toLowerCase().includes('jumia') &&
-                !d.source.toLowerCase().includes('slot') &&
-                !d.source.toLowerCase().includes('konga') &&
-                !d.source.toLowerCase().includes('jiji') &&
-                !d.source.toLowerCase().includes('ajebo') &&
-                !d.source.toLowerCase().includes('dexstitches'))
-    );
-
-    // Sort each source by relevance (desc) then price (asc)
-    const sortResults = (list) => {
-        return list.sort((a, b) => {
-            // High relevance (e.g. >= 0.8) items always come first
-            if (a.relevance >= 0.8 && b.relevance < 0.8) return -1;
-            if (a.relevance < 0.8 && b.relevance >= 0.8) return 1;
-
-            // If both are high relevance or both are low, sort by relevance score first
-            if (Math.abs(a.relevance - b.relevance) > 0.2) {
-                return b.relevance - a.relevance;
-            }
-
-            // If relevance is similar, sort by price
-            return a.price - b.price;
-        });
-    };
-
-    sortResults(amazonResults);
-    sortResults(jumiaResults);
-    sortResults(slotResults);
-    sortResults(kongaResults);
-    sortResults(jijiResults);
-    sortResults(ajeboResults);
-    sortResults(dexStitchesResults);
-    sortResults(otherResults);
-
-    // Helper to interleave lists for better source variety
-    const interleave = (...lists) => {
-        const result = [];
-        const maxLen = Math.max(...lists.map(l => l.length));
-        for (let i = 0; i < maxLen; i++) {
-            for (const list of lists) {
-                if (list[i]) result.push(list[i]);
-            }
-        }
-        return result;
-    };
+    // Structured brand/model/capacity/size/condition/color for filtering, facets and /api/compare
+    await dealAttributes.extractAttributesForDeals(resultsWithValidLinks);
 
-    // Prioritization logic: Jumia ALWAYS first.
-    // - Gadgets: Jumia, then Slot.ng, then Amazon, then others
-    // - Others: Jumia, then Amazon, then local interleaved
-    let orderedResults;
-    if (isGadgetQuery) {
-        // Gadgets: Prioritize Jumia, then Slot, then Amazon, then others interleaved
-        const localInterleaved = interleave(kongaResults, jijiResults, ajeboResults, dexStitchesResults, otherResults);
-        orderedResults = [...jumiaResults, ...slotResults, ...amazonResults, ...localInterleaved];
-    } else {
-        // Non-gadgets: Jumia first, then Amazon, then typical local mix
-        const localInterleaved = interleave(kongaResults, ajeboResults, dexStitchesResults, jijiResults, slotResults, otherResults);
-        orderedResults = [...jumiaResults, ...amazonResults, ...localInterleaved];
-    }
+    // Ordering (lead stores, local/international blend, relevance and price) comes from the
+    // ranking policy; each deal carries a rankReason explaining its position
+    const orderedResults = rankingPolicy.rankDeals(resultsWithValidLinks, { policy });
 
     return {
         deals: orderedResults.slice(0, 15), // Show more top deals
+        allDeals: orderedResults, // Full ranked list for filtering, facets and the cache
         totalValid: resultsWithValidLinks.length
     };
 }
 
+// Re-run a search for the search cache (stale-while-revalidate refreshes and admin warming).
+// No user is involved: country and currency come from the cache entry, and no impressions are
+// recorded since nobody is shown these deals (trackImpressions runs when a cache hit is served).
+async function refreshCachedSearch({ query, country, currency, category }) {
+    const searchCategory = category === 'any' ? null : category;
+    const searchResults = await searchAllSources(query, { preferences: { country } }, searchCategory || 'other', currency);
+    const result = await findBestDeals(searchResults, query, searchCategory);
+    return { deals: result.allDeals || null, totalValid: result.totalValid };
+}
+
+searchCache.setRefresher(refreshCachedSearch);
+
 // Get AI recommendation
 async function getAIRecommendation(deals, searchQuery, user) {
     const dealsText = deals.map((deal, index) =>
@@ -2345,13 +3016,18 @@ app.post('/api/compare', async (req, res) => {
 
         console.log(`⚖️ Comparing ${products.length} products`);
 
-        const productsDescription = products.map((p, i) =>
-            `Product ${i}: ${p.title}
-             Price: ${p.price}
+        // Structured attribute rows (brand, model, capacity, ...) shown alongside the AI verdict
+        const attributeRows = dealAttributes.buildAttributeRows(products);
+
+        const productsDescription = products.map((p, i) => {
+            const attrs = attributeRows.map(row => `${row.feature}: ${row.values[i] || 'unknown'}`).join(', ');
+            return `Product ${i}: ${p.title}
+             Price: ${p.price}${p.currency ? ` ${p.currency}` : ''}
              Source: ${p.source}
              Rating: ${p.rating} (${p.reviews} reviews)
-             Link: ${p.link}`
-        ).join('\n\n');
+             Attributes: ${attrs || 'none'}
+             Link: ${p.link}`;
+        }).join('\n\n');
 
         const prompt = `Compare the following products and identify the best option for the user.
         
@@ -2372,20 +3048,7 @@ app.post('/api/compare', async (req, res) => {
         }`;
 
         // Call Gemini
-        const response = await axios.post(
-            `${GEMINI_URL}?key=${GOOGLE_API_KEY}`,
-            {
-                contents: [{
-                    parts: [{ text: prompt }]
-                }]
-            },
-            {
-                headers: { 'Content-Type': 'application/json' }
-            }
-        );
-
-        const candidates = response.data?.candidates;
-        let comparisonText = candidates?.[0]?.content?.parts?.[0]?.text || '{}';
+        let comparisonText = await aiService.callGeminiAPI(prompt);
 
         // Clean up markdown code blocks if present
         comparisonText = comparisonText.replace(/```json\n?|\n?```/g, "").trim();
@@ -2398,11 +3061,12 @@ app.post('/api/compare', async (req, res) => {
             // Fallback to text if JSON fails
             return res.json({
                 error: true,
-                rawText: comparisonText
+                rawText: comparisonText,
+                attributeRows
             });
         }
 
-        res.json({ comparison: comparisonData });
+        res.json({ comparison: comparisonData, attributeRows });
 
     } catch (error) {
         console.error('Comparison error:', error.response?.data || error.message);
@@ -2543,94 +3207,142 @@ app.post('/api/chat/vision', upload.single('image'), authenticateToken, async (r
     }
 });
 
-// AI-powered chat route
-app.post('/api/chat', async (req, res) => {
-    try {
-        const { message, searchQuery, sessionId: clientSessionId } = req.body;
-        const userId = req.userId;
+/**
+ * One chat turn: ask Gemini, pull the SEARCH:/CATEGORY: markers out of its reply and save
+ * the conversation. Resolves to the /api/chat response body. Shared by the route and the
+ * chat socket; `req` is only used to derive a session id when none is given.
+ * With onDelta, Gemini's reply is streamed and onDelta(text) gets each piece of it as it
+ * arrives (marker lines held back); `signal` cancels the streamed reply when the client goes away.
+ */
+async function runChatTurn({ message, searchQuery, sessionId: clientSessionId, userId, onDelta = null, signal = null }, req) {
+    let user = null;
+    if (userId) {
+        user = await User.findById(userId).select('-password');
+    }
 
-        if (!message && !searchQuery) {
-            return res.status(400).json({ error: 'Message or search query is required' });
-        }
+    let session = clientSessionId;
+    if (!session) {
+        session = generateSessionId(req);
+    }
 
-        let user = null;
-        if (userId) {
-            user = await User.findById(userId).select('-password');
-        }
+    if (!conversationHistory.has(session)) {
+        conversationHistory.set(session, []);
+    }
 
-        let session = clientSessionId;
-        if (!session) {
-            session = generateSessionId(req);
-        }
+    const sessionHistory = conversationHistory.get(session);
 
-        if (!conversationHistory.has(session)) {
-            conversationHistory.set(session, []);
-        }
+    sessionHistory.push({ role: 'user', content: message });
 
-        const sessionHistory = conversationHistory.get(session);
+    const aiPrompt = aiService.generateAIPrompt(message, searchQuery, user, sessionHistory);
 
-        sessionHistory.push({ role: 'user', content: message });
+    let aiResponse;
+    if (onDelta) {
+        const filter = aiService.createMarkerFilter(onDelta);
+        aiResponse = await aiService.streamGeminiAPI(aiPrompt, text => filter.push(text), { signal });
+        filter.flush();
+    } else {
+        aiResponse = await aiService.callGeminiAPI(aiPrompt);
+    }
 
-        const aiPrompt = aiService.generateAIPrompt(message, searchQuery, user, sessionHistory);
+    // Clean AI response from markers
+    const markers = aiService.extractSearchMarkers(aiResponse);
+    aiResponse = markers.text;
+    const shouldSearch = markers.shouldSearch;
+    const extractedSearchQuery = markers.shouldSearch ? markers.searchQuery : searchQuery;
+    const extractedCategory = markers.category;
 
-        let aiResponse = await aiService.callGeminiAPI(aiPrompt);
+    sessionHistory.push({ role: 'assistant', content: aiResponse });
+    conversationHistory.set(session, sessionHistory);
 
-        let extractedSearchQuery = searchQuery;
-        let extractedCategory = 'other';
-        let shouldSearch = false;
+    // Save conversation to database
+    try {
+        await Conversation.findOneAndUpdate(
+            { sessionId: session },
+            {
+                sessionId: session,
+                userId: userId || null,
+                messages: sessionHistory,
+                updatedAt: new Date()
+            },
+            { upsert: true, new: true }
+        );
+        console.log(`💾 Conversation saved to database: ${session}`);
+    } catch (dbError) {
+        console.error('Error saving conversation to database:', dbError);
+        // Don't fail the request if database save fails
+    }
 
-        if (aiResponse.includes('SEARCH:')) {
-            shouldSearch = true;
-            const searchLines = aiResponse.split('\n');
-            const searchLine = searchLines.find(line => line.includes('SEARCH:'));
-            extractedSearchQuery = searchLine.split('SEARCH:')[1].trim();
+    const displayMessage = aiService.formatDisplayMessage(aiResponse);
 
-            const categoryLine = searchLines.find(line => line.includes('CATEGORY:'));
-            if (categoryLine) {
-                extractedCategory = categoryLine.split('CATEGORY:')[1].trim().toLowerCase();
-            }
+    return {
+        aiResponse: displayMessage,
+        sessionId: session,
+        shouldSearch,
+        searchQuery: extractedSearchQuery || searchQuery,
+        category: extractedCategory,
+        deals: null, // Frontend will fetch these if shouldSearch is true
+        totalValid: 0,
+        aiDealSummary: null
+    };
+}
 
-            // Clean AI response from markers
-            aiResponse = aiResponse.replace(/SEARCH:.*(\n?)/, '').replace(/CATEGORY:.*(\n?)/, '').trim();
-        }
+// AI-powered chat route
+// SSE mode (Accept: text/event-stream, or stream=true) streams Gemini's reply as `ai-delta`
+// events, then sends the full `ai-response`, a `search-intent` when the reply asks for a
+// search, and `done`.
+app.post('/api/chat', async (req, res) => {
+    const { message, searchQuery, sessionId } = req.body;
+    const userId = req.userId;
+    const streaming = req.accepts(['json', 'text/event-stream']) === 'text/event-stream'
+        || [true, 'true', '1'].includes(req.body.stream ?? req.query.stream);
 
-        sessionHistory.push({ role: 'assistant', content: aiResponse });
-        conversationHistory.set(session, sessionHistory);
+    if (!message && !searchQuery) {
+        return res.status(400).json({ error: 'Message or search query is required' });
+    }
 
-        // Save conversation to database
+    if (!streaming) {
         try {
-            await Conversation.findOneAndUpdate(
-                { sessionId: session },
-                {
-                    sessionId: session,
-                    userId: userId || null,
-                    messages: sessionHistory,
-                    updatedAt: new Date()
-                },
-                { upsert: true, new: true }
-            );
-            console.log(`💾 Conversation saved to database: ${session}`);
-        } catch (dbError) {
-            console.error('Error saving conversation to database:', dbError);
-            // Don't fail the request if database save fails
+            res.json(await runChatTurn({ message, searchQuery, sessionId, userId }, req));
+        } catch (error) {
+            console.error('Chat error:', error);
+            res.status(500).json({ error: 'Chat processing failed' });
         }
+        return;
+    }
 
-        const displayMessage = aiService.formatDisplayMessage(aiResponse);
+    searchStreams.openResponse(res);
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
 
-        res.json({
-            aiResponse: displayMessage,
-            sessionId: session,
-            shouldSearch,
-            searchQuery: extractedSearchQuery || searchQuery,
-            category: extractedCategory,
-            deals: null, // Frontend will fetch these if shouldSearch is true
-            totalValid: 0,
-            aiDealSummary: null
-        });
+    // Stop streaming from Gemini if the client disconnects mid-reply
+    const disconnected = new AbortController();
+    res.on('close', () => disconnected.abort());
+
+    try {
+        const chat = await runChatTurn({
+            message,
+            searchQuery,
+            sessionId,
+            userId,
+            onDelta: text => sendEvent('ai-delta', { text }),
+            signal: disconnected.signal
+        }, req);
+
+        sendEvent('ai-response', chat);
+        if (chat.shouldSearch && chat.searchQuery) {
+            sendEvent('search-intent', { searchQuery: chat.searchQuery, category: chat.category, sessionId: chat.sessionId });
+        }
+        sendEvent('done', { sessionId: chat.sessionId });
     } catch (error) {
+        if (error.code === 'ABORTED') {
+            console.log('ℹ️ Chat client disconnected; stopped the Gemini stream.');
+            return;
+        }
         console.error('Chat error:', error);
-        res.status(500).json({ error: 'Chat processing failed' });
+        sendEvent('error', { message: error.code === 'TIMEOUT' ? 'The AI took too long to answer' : 'Chat processing failed' });
     }
+    res.end();
 });
 
 // Separate quick search endpoint
@@ -2681,11 +3393,18 @@ app.post('/api/search', async (req, res) => {
         let deals = null;
         let totalValid = 0;
         let aiDealSummary = null;
+        let upstreamUnavailable = false;
 
         if (shouldSearch && extractedSearchQuery) {
             // Check cache first
-            const cacheKey = extractedSearchQuery.toLowerCase().trim();
-            const cachedResult = await getCachedSearch(cacheKey);
+            const displayCurrency = currencyService.resolveDisplayCurrency(user, req.body.currency);
+            const cacheParams = {
+                query: extractedSearchQuery,
+                country: user?.preferences?.country || 'NG',
+                currency: displayCurrency,
+                category: extractedCategory
+            };
+            const cachedResult = await searchCache.getCachedSearch(cacheParams);
 
             if (cachedResult) {
                 deals = cachedResult.deals;
@@ -2693,9 +3412,10 @@ app.post('/api/search', async (req, res) => {
                 aiDealSummary = cachedResult.aiDealSummary;
             } else {
                 console.log(`🔍 Performing fresh search for: "${extractedSearchQuery}" in category: ${extractedCategory}`);
-                const searchResults = await searchAllSources(extractedSearchQuery, user, extractedCategory);
-                const result = await findBestDeals(searchResults, extractedSearchQuery, user?._id, session, extractedCategory);
-                deals = result.deals;
+                const searchResults = await searchAllSources(extractedSearchQuery, user, extractedCategory, displayCurrency);
+                upstreamUnavailable = searchResults.upstreamUnavailable;
+                const result = await findBestDeals(searchResults, extractedSearchQuery, extractedCategory);
+                deals = result.allDeals || null;
                 totalValid = result.totalValid;
 
                 // Skip AI recommendation for faster response
@@ -2703,11 +3423,22 @@ app.post('/api/search', async (req, res) => {
 
                 // Cache the results ONLY if we found something
                 if (deals && deals.length > 0) {
-                    await setCachedSearch(cacheKey, { deals, totalValid, aiDealSummary: null });
+                    await searchCache.setCachedSearch(cacheParams, { deals, totalValid, aiDealSummary: null });
                 }
             }
         }
 
+        // Re-score for the signed-in user unless the request sends personalize=false
+        if (personalization.isEnabled({ ...req.query, ...req.body })) {
+            deals = await personalization.personalizeDeals(deals, user);
+        }
+
+        // Filters, sort and count from the request, with the user's searchPreferences as defaults
+        const searchOptions = searchFilters.resolveSearchOptions({ ...req.query, ...req.body }, user);
+        const filtered = searchFilters.applySearchOptions(deals, searchOptions);
+        if (deals && deals.length > 0) deals = filtered.deals;
+        deals = trackImpressions(deals, { userId: user?._id, sessionId: session, searchQuery: extractedSearchQuery, category: extractedCategory });
+
         const displayMessage = aiService.formatDisplayMessage(aiResponse);
 
         // Debug: Log deals to verify link field is included
@@ -2723,7 +3454,12 @@ app.post('/api/search', async (req, res) => {
             aiResponse: displayMessage,
             deals,
             totalValid,
-            aiDealSummary
+            totalMatched: filtered.totalMatched,
+            facets: filtered.facets,
+            appliedFilters: filtered.options,
+            aiDealSummary,
+            ratesStale: hasStaleRates(deals),
+            searchStatus: upstreamUnavailable ? 'upstream_unavailable' : 'ok'
         });
     } catch (error) {
         console.error('Search error:', error);
@@ -2811,7 +3547,11 @@ app.post('/api/shopping-search', async (req, res) => {
             }
 
             const searchResults = await searchAllSources(extractedSearchQuery, user, extractedCategory);
-            const { deals, totalValid } = await findBestDeals(searchResults, extractedSearchQuery, user?._id, session);
+            const result = await findBestDeals(searchResults, extractedSearchQuery);
+            const { totalValid } = result;
+            const deals = trackImpressions(personalization.isEnabled(req.body)
+                ? await personalization.personalizeDeals(result.deals, user)
+                : result.deals, { userId: user?._id, sessionId: session, searchQuery: extractedSearchQuery, category: extractedCategory });
             let aiDealSummary = null;
 
             if (deals && deals.length > 0) {
@@ -2826,7 +3566,11 @@ app.post('/api/shopping-search', async (req, res) => {
             });
         } else {
             const searchResults = await searchAllSources(searchQuery || userMessage, user, 'other');
-            const { deals, totalValid } = await findBestDeals(searchResults, searchQuery || userMessage, user?._id, session);
+            const result = await findBestDeals(searchResults, searchQuery || userMessage);
+            const { totalValid } = result;
+            const deals = trackImpressions(personalization.isEnabled(req.body)
+                ? await personalization.personalizeDeals(result.deals, user)
+                : result.deals, { userId: user?._id, sessionId: session, searchQuery: searchQuery || userMessage });
             const displayMessage = `Here are some deals I found for "${searchQuery || userMessage}". Want me to help compare them or suggest the best one?`;
 
             let aiDealSummary = null;
@@ -2868,52 +3612,138 @@ app.post('/api/click', async (req, res) => {
     }
 });
 
-// Scheduled search job
-async function runScheduledSearches() {
+// Click-through redirect: records the click server-side, then sends the user to the store
+app.get('/r/:trackingId', async (req, res) => {
     try {
-        console.log('⏰ Running scheduled searches...');
+        const { trackingId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(trackingId)) {
+            return res.status(404).json({ error: 'Tracking link not found' });
+        }
+
+        const impression = await ClickTracking.findById(trackingId);
+        if (!impression) {
+            return res.status(404).json({ error: 'Tracking link not found' });
+        }
 
-        const now = new Date();
+        const target = impression.affiliateLink || impression.originalLink;
+        if (!target || !/^https?:\/\//i.test(target)) {
+            return res.status(404).json({ error: 'Tracking link has no valid destination' });
+        }
 
-        const activeParties = await Party.find({ active: true });
+        const clickDetails = {
+            clicked: true,
+            clickedAt: new Date(),
+            referrer: req.get('referer') || undefined,
+            userAgent: req.get('user-agent') || undefined
+        };
 
-        for (const party of activeParties) {
-            const lastRun = party.lastRunAt || party.createdAt;
-            const hoursSinceLastRun = (now - lastRun) / (1000 * 60 * 60);
+        if (!impression.clicked) {
+            await ClickTracking.updateOne({ _id: impression._id }, { $set: clickDetails });
+        } else {
+            // Repeat clicks on the same impression get their own record so counts stay accurate
+            await ClickTracking.create({
+                userId: req.userId || impression.userId,
+                sessionId: impression.sessionId,
+                productTitle: impression.productTitle,
+                originalLink: impression.originalLink,
+                affiliateLink: impression.affiliateLink,
+                affiliateProgram: impression.affiliateProgram,
+                source: impression.source,
+                price: impression.price,
+                searchQuery: impression.searchQuery,
+                category: impression.category,
+                kind: 'view',
+                ...clickDetails
+            });
+        }
 
-            const userFrequencyHours = party.searchFrequencyHours || 12;
+        res.redirect(302, target);
+    } catch (error) {
+        console.error('Redirect tracking error:', error);
+        res.status(500).json({ error: 'Failed to follow tracking link' });
+    }
+});
 
-            if (hoursSinceLastRun < userFrequencyHours) {
-                continue;
-            }
+// Run one Search Party: search, filter, record prices, notify.
+// Errors propagate so the job queue can retry with backoff.
+async function runPartySearch(party) {
+    console.log(`🔎 Searching for: "${party.itemName}" (User: ${party.userId}, Frequency: ${party.searchFrequencyHours || 12}h)`);
+
+    const user = await User.findById(party.userId).select('-password');
+    // Price the party's deals in its own currency so filters and drop thresholds apply directly
+    const partyCurrency = party.currency || 'NGN';
+    const searchResults = await searchAllSources(party.searchQuery, user, 'other', partyCurrency);
+    if (searchResults.upstreamUnavailable) {
+        // Throw so the queue retries the job later instead of recording an empty run
+        throw new Error('Scrapper unavailable');
+    }
+    const { allDeals: foundDeals } = await findBestDeals(searchResults, party.searchQuery);
 
-            console.log(`🔎 Searching for: "${party.itemName}" (User: ${party.userId}, Frequency: ${userFrequencyHours}h)`);
+    // Enforce the party's price window and store allow-list over the full ranked list, then keep
+    // the top 15 like findBestDeals does, so matches ranked below the top 15 aren't lost
+    const { deals: matchedDeals, stats: filterStats } = await partyFilters.applyPartyFilters(party, foundDeals, {
+        convert: (amount, from) => convertCurrency(amount, from, partyCurrency),
+        dealCurrency: partyCurrency
+    });
+    const deals = matchedDeals.slice(0, 15);
+    party.lastFilterStats = filterStats;
+    console.log(`🧹 Party "${party.itemName}" filters: ${filterStats.total} found, ${filterStats.removedByStore} removed by store, ${filterStats.removedByPrice} removed by price, ${filterStats.kept} kept.`);
+
+    // Record today's prices and keep only new listings or drops beyond the party's thresholds
+    const changedDeals = await priceHistory.recordPartyRun(party, deals, {
+        currency: partyCurrency,
+        dropPercent: party.priceDropPercent,
+        dropAmount: party.priceDropAmount || null
+    });
 
-            const user = await User.findById(party.userId).select('-password');
-            const searchResults = await searchAllSources(party.searchQuery, user);
-            const { deals } = await findBestDeals(searchResults, party.searchQuery, party.userId, null);
+    if (changedDeals.length > 0) {
+        // Only the notified deals count as shown to the user
+        const notifiedDeals = trackImpressions(changedDeals, { userId: party.userId, searchQuery: party.searchQuery });
+        const aiSummary = await getAIRecommendation(notifiedDeals, party.searchQuery, user);
+        const dropCount = changedDeals.filter(d => d.changeType === 'price_drop').length;
+        const newCount = changedDeals.length - dropCount;
+
+        const notification = new PartyNotification({
+            partyId: party._id,
+            userId: party.userId,
+            deals: notifiedDeals,
+            searchQuery: party.searchQuery,
+            notificationMessage: dropCount > 0
+                ? `Prices dropped on ${dropCount} deal(s)${newCount > 0 ? ` and ${newCount} new deal(s) appeared` : ''} for your party: "${party.itemName}"`
+                : `We found new deals for your party: "${party.itemName}"`,
+            notificationChannel: party.notificationChannel || 'in_app',
+            aiSummary: aiSummary,
+            filterStats
+        });
 
-            if (deals && deals.length > 0) {
-                const aiSummary = await getAIRecommendation(deals, party.searchQuery, user);
-
-                const notification = new PartyNotification({
-                    partyId: party._id,
-                    userId: party.userId,
-                    deals: deals,
-                    searchQuery: party.searchQuery,
-                    notificationMessage: `We found new deals for your party: "${party.itemName}"`,
-                    notificationChannel: party.notificationChannel || 'in_app',
-                    aiSummary: aiSummary
-                });
+        await notification.save();
 
-                await notification.save();
+        console.log(`✅ Notification created for user ${party.userId} and party "${party.itemName}".`);
 
-                console.log(`✅ Notification created for user ${party.userId} and party "${party.itemName}".`);
-            }
+        await notificationDispatcher.dispatch(notification, { user, party });
+    } else if (deals && deals.length > 0) {
+        console.log(`ℹ️ No new listings or price drops for party "${party.itemName}". Skipping notification.`);
+    }
+
+    party.lastRunAt = new Date();
+    await party.save();
+}
 
-            party.lastRunAt = now;
-            await party.save();
+// Scheduler tick: retry failed notification deliveries and keep the job queue
+// in sync with the active parties. The searches themselves run on the queue worker.
+async function runScheduledSearches() {
+    try {
+        console.log('⏰ Running scheduled search maintenance...');
+
+        // Retry email/WhatsApp deliveries that failed on earlier runs
+        const retried = await notificationDispatcher.retryFailedDeliveries();
+        if (retried > 0) {
+            console.log(`📨 Retried ${retried} pending notification deliveries.`);
         }
+
+        const { active, removed } = await searchQueue.syncParties();
+        console.log(`🗂️ Search queue synced: ${active} active parties, ${removed} stale jobs removed.`);
     } catch (error) {
         console.error('Scheduled search error:', error);
     }
@@ -2931,6 +3761,8 @@ function startScheduler() {
     runScheduledSearches();
 
     setInterval(runScheduledSearches, CRON_INTERVAL);
+
+    searchQueue.start(runPartySearch);
 }
 
 
@@ -2959,35 +3791,56 @@ app.post('/api/execute-search', authenticateToken, async (req, res) => {
         res.write(`data: "start"\n\n`);
 
         // Check cache first
-        const cacheKey = searchQuery.toLowerCase().trim();
-        const cachedResult = await getCachedSearch(cacheKey);
+        const displayCurrency = currencyService.resolveDisplayCurrency(user, req.body.currency);
+        const cacheParams = {
+            query: searchQuery,
+            country: user?.preferences?.country || 'NG',
+            currency: displayCurrency,
+            category
+        };
+        const cachedResult = await searchCache.getCachedSearch(cacheParams);
 
         let deals = null;
         let totalValid = 0;
         let aiDealSummary = null;
+        let upstreamUnavailable = false;
 
         if (cachedResult) {
             deals = cachedResult.deals;
             totalValid = cachedResult.totalValid;
             aiDealSummary = cachedResult.aiDealSummary;
         } else {
-            const searchResults = await searchAllSources(searchQuery, user, category || 'other');
-            const result = await findBestDeals(searchResults, searchQuery, user?._id, session);
-            deals = result.deals;
+            const searchResults = await searchAllSources(searchQuery, user, category || 'other', displayCurrency);
+            upstreamUnavailable = searchResults.upstreamUnavailable;
+            const result = await findBestDeals(searchResults, searchQuery);
+            deals = result.allDeals || null;
             totalValid = result.totalValid;
 
             // Cache the results ONLY if we found something
             if (deals && deals.length > 0) {
-                await setCachedSearch(cacheKey, { deals, totalValid, aiDealSummary: null });
+                await searchCache.setCachedSearch(cacheParams, { deals, totalValid, aiDealSummary: null });
             }
         }
 
-        // Auto-create search party if no results found and user is authenticated
+        // Filters, sort and count from the request, with the user's searchPreferences as defaults.
+        // A party is only auto-created when the search itself found nothing, not when filters did.
+        const foundAny = !!(deals && deals.length > 0);
+        if (personalization.isEnabled({ ...req.query, ...req.body })) {
+            deals = await personalization.personalizeDeals(deals, user);
+        }
+        const searchOptions = searchFilters.resolveSearchOptions({ ...req.query, ...req.body }, user);
+        const filtered = searchFilters.applySearchOptions(deals, searchOptions);
+        if (foundAny) deals = trackImpressions(filtered.deals, { userId: user?._id, sessionId: session, searchQuery, category });
+
+        // Auto-create search party if no results found and user is authenticated.
+        // Not during a scrapper outage: nothing was searched, so nothing was "not found".
         let partyCreated = false;
         let partyDetails = null;
         let creativeMessage = null;
 
-        if ((!deals || deals.length === 0) && userId) {
+        if (!foundAny && upstreamUnavailable) {
+            creativeMessage = `Our store search is temporarily unavailable, so I couldn't look for "${searchQuery}" just now. Please try again in a few minutes.`;
+        } else if (!foundAny && userId) {
             try {
                 console.log(`🎉 No results found. Creating search party for user ${userId}...`);
 
@@ -3006,7 +3859,7 @@ app.post('/api/execute-search', authenticateToken, async (req, res) => {
                         searchQuery: searchQuery,
                         searchFrequencyHours: SEARCH_FREQUENCY_HOURS || 6,
                         aiStyle: user?.preferences?.shoppingStyle || 'Balanced',
-                        stores: ['amazon', 'ebay', 'walmart', 'bestbuy'],
+                        stores: [],
                         maxPrice: user?.searchPreferences?.maxPrice || null,
                         minPrice: user?.searchPreferences?.minPrice || 0,
                         active: true,
@@ -3014,6 +3867,7 @@ app.post('/api/execute-search', authenticateToken, async (req, res) => {
                     });
 
                     await party.save();
+                    await searchQueue.enqueueParty(party);
                     partyCreated = true;
                     partyDetails = {
                         id: party._id,
@@ -3092,8 +3946,13 @@ app.post('/api/execute-search', authenticateToken, async (req, res) => {
         res.json({
             deals,
             totalValid,
+            totalMatched: filtered.totalMatched,
+            facets: filtered.facets,
+            appliedFilters: filtered.options,
             aiDealSummary,
+            ratesStale: hasStaleRates(deals),
             sessionId: session,
+            searchStatus: upstreamUnavailable ? 'upstream_unavailable' : 'ok',
             partyCreated,
             partyDetails,
             noResultsMessage: creativeMessage
@@ -3115,7 +3974,7 @@ const EXCHANGE_RATE_INTERVAL = EXCHANGE_RATE_UPDATE_HOURS * 60 * 60 * 1000; // C
 // Schedule periodic updates
 setInterval(async () => {
     console.log(`⏰ Running scheduled exchange rate update (every ${EXCHANGE_RATE_UPDATE_HOURS} hours)...`);
-    await fetchAndStoreExchangeRates();
+    await exchangeRates.fetchAndStoreExchangeRates();
 }, EXCHANGE_RATE_INTERVAL);
 
 console.log(`✅ Exchange rate cron job scheduled to run every ${EXCHANGE_RATE_UPDATE_HOURS} hours.`);
@@ -3135,54 +3994,38 @@ app.get('/api/search', async (req, res) => {
         console.log(chalk.green(`\nNew web search request: "${q}" (Category: ${category})`));
         console.log(`🔗 Forwarding to Custom Search API...`);
 
-        // Call Custom Search API
-        // Use environment variable or default to new VPS, avoids hardcoded Render issues
-        const scrapperUrl = process.env.SCRAPPER_URL || 'http://46.175.147.124:3001/api/search';
-        console.log(`🔗 Calling Scrapper at: ${scrapperUrl}`);
-
-        const response = await axios.get(scrapperUrl, {
-            params: { q, category }
-        });
-
-        console.log(`✅ Scrapper responded with status: ${response.status}`);
-        const externalData = response.data;
-        const externalResults = externalData.results || [];
-        console.log(`🔍 External Data Received: ${externalResults.length} items`);
-        console.log(`🗂️  Result breakdown:`, externalData.counts || 'No counts provided');
-
-        console.log(`✅ Custom API returned ${externalResults.length} results`);
+        const external = await searchService.searchExternal(q, { category });
 
-        // Map results to internal format
-        const mappedResults = externalResults.map(item => ({
-            title: item.title,
-            price: item.price,
-            source: item.source,
-            link: item.link,
-            thumbnail: item.img || item.thumbnail,
-            rating: item.rating || 'N/A',
-            reviews: 'N/A',
-            isNigerian: ['Jumia', 'Jiji', 'Konga', 'Slot', 'Ajebo', 'DexStitches'].some(s => item.source && item.source.includes(s))
-        }));
-
-        const prioritized = await prioritizeResults(mappedResults);
+        // An outage is not "no results": report it so callers don't treat it as an empty search
+        if (external.status === 'upstream_unavailable') {
+            return res.status(503).json({
+                status: external.status,
+                error: external.error,
+                results: [],
+                count: 0,
+                meta: {}
+            });
+        }
 
         res.json({
-            results: prioritized,
-            count: prioritized.length,
-            meta: externalData.counts || {}
+            status: external.status,
+            results: external.results,
+            count: external.count,
+            meta: external.meta
         });
 
     } catch (error) {
         console.error('Search API Error:', error.message);
-        if (error.response) {
-            console.error('External API Status:', error.response.status);
-            console.error('External API Data:', error.response.data);
-        }
-        // Fallback to empty results instead of crashing
-        res.json({ results: [], count: 0, meta: {} });
+        res.status(500).json({ error: 'Search failed' });
     }
 });
 
+// Scrapper health: circuit state, latency and error rate over recent searches
+app.get('/api/health/scrapper', (req, res) => {
+    const health = scrapperClient.health();
+    res.status(health.status === 'down' ? 503 : 200).json(health);
+});
+
 // 1. Get Vendor's Products
 app.get('/api/vendor/products', authenticateToken, async (req, res) => {
     try {
@@ -3258,24 +4101,13 @@ app.delete('/api/vendor/products/:id', authenticateToken, async (req, res) => {
 
 
 
-// Execute search endpoint with STREAMING (Incremental Results)
-app.post('/api/execute-search-stream', authenticateToken, async (req, res) => {
-    const { searchQuery, sessionId: clientSessionId } = req.body;
-    const userId = req.userId;
-
-    if (!searchQuery) {
-        return res.status(400).json({ error: 'Search query is required' });
-    }
-
-    // Set headers for SSE
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-
-    const sendEvent = (event, data) => {
-        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
-    };
-
+/**
+ * Run one streamed search, emitting the stream's events through sendEvent(event, data):
+ * search-progress, deals (one per batch), store-status, local-status, products, facets and
+ * done. `params` are the request's query and body (currency, category, filters, sort, limit,
+ * personalize). Shared by the SSE route and the chat socket.
+ */
+async function runSearchStream({ searchQuery, userId, session, params = {} }, sendEvent) {
     let user = null;
     if (userId) {
         try {
@@ -3283,164 +4115,350 @@ app.post('/api/execute-search-stream', authenticateToken, async (req, res) => {
         } catch (e) { console.error('Error fetching user:', e); }
     }
 
-    const session = clientSessionId || generateSessionId(req);
-
     // Accumulate all deals to save at end
     let allDeals = [];
+    let upstreamUnavailable = false; // set when the scrapper could not be reached
 
-    try {
-        const country = user?.preferences?.country || 'NG';
-        console.log(`🔍 Stream Searching for: "${searchQuery}" in ${country}`);
-
-        // 1. Check Cache First (if you want fast response, but maybe skip for streaming demo?)
-        // Let's check cache. If hit, we can just stream it all at once.
-        const cacheKey = searchQuery.toLowerCase().trim();
-        const cachedResult = await getCachedSearch(cacheKey);
+    const country = user?.preferences?.country || 'NG';
+    const displayCurrency = currencyService.resolveDisplayCurrency(user, params.currency);
+    console.log(`🔍 Stream Searching for: "${searchQuery}" in ${country} (${displayCurrency})`);
+
+    // Filters, sort and count from the request, with the user's searchPreferences as defaults.
+    // Batches are filtered and sorted as they arrive; the count applies across batches.
+    // Each batch is personalized for the signed-in user unless the request sends personalize=false.
+    const searchOptions = searchFilters.resolveSearchOptions(params, user);
+    const personalize = personalization.isEnabled(params);
+    const sentDeals = [];
+    const sendDeals = async (batch) => {
+        if (sentDeals.length >= searchOptions.limit) return;
+        const ordered = personalize ? await personalization.personalizeDeals(batch, user) : batch;
+        // Stores stream concurrently, so take the remaining count after personalizing
+        const remaining = searchOptions.limit - sentDeals.length;
+        if (remaining <= 0) return;
+        const shown = searchFilters.sortDeals(searchFilters.applyFilters(ordered, searchOptions), searchOptions.sort).slice(0, remaining);
+        if (shown.length === 0) return;
+        const visible = trackImpressions(shown, { userId, sessionId: session, searchQuery, category: params.category });
+        sendEvent('deals', visible);
+        sentDeals.push(...visible);
+    };
+    const sendFacets = () => {
+        sendEvent('facets', {
+            ...searchFilters.buildFacets(allDeals, searchOptions),
+            totalMatched: searchFilters.applyFilters(allDeals, searchOptions).length,
+            appliedFilters: searchOptions
+        });
+    };
 
-        if (cachedResult) {
-            sendEvent('deals', cachedResult.deals);
-            allDeals = cachedResult.deals;
-            sendEvent('done', { totalValid: cachedResult.totalValid, aiDealSummary: cachedResult.aiDealSummary });
-            res.end();
-            return;
-        }
+    // 1. Check Cache First (if you want fast response, but maybe skip for streaming demo?)
+    // Let's check cache. If hit, we can just stream it all at once.
+    const cacheParams = { query: searchQuery, country, currency: displayCurrency, category: params.category };
+    const cachedResult = await searchCache.getCachedSearch(cacheParams);
+
+    if (cachedResult) {
+        allDeals = cachedResult.deals;
+        await sendDeals(allDeals);
+        sendEvent('products', productMatching.clusterDeals(sentDeals));
+        sendFacets();
+        sendEvent('done', { totalValid: cachedResult.totalValid, aiDealSummary: cachedResult.aiDealSummary, ratesStale: hasStaleRates(cachedResult.deals) });
+        return;
+    }
 
-        // 2. Start Local Search (Fastest) AND External Search (Parallel but streamed as they finish)
+    // 2. Start Local Search (Fastest) AND External Search (Parallel but streamed as they finish)
 
-        // --- LOCAL SEARCH ---
-        sendEvent('search-progress', { message: 'Checking local vendor inventory...' });
-        let localDealsCount = 0;
-        try {
-            const localProducts = await searchLocalProducts(searchQuery);
-            if (localProducts && localProducts.length > 0) {
-                // Process them similar to findBestDeals but just for local
-                const localDeals = localProducts.map(p => ({
+    // --- LOCAL SEARCH ---
+    sendEvent('search-progress', { message: 'Checking local vendor inventory...' });
+    let localDealsCount = 0;
+    try {
+        const localProducts = await searchLocalProducts(searchQuery);
+        if (localProducts && localProducts.length > 0) {
+            // Process them similar to findBestDeals but just for local
+            const localDeals = [];
+            for (const p of localProducts) {
+                localDeals.push({
                     ...p,
                     source: 'Vendor',
                     isLocal: true,
-                    // Ensure price format matches expected
+                    price: await convertCurrency(p.price, 'NGN', displayCurrency),
+                    currency: displayCurrency,
                     originalPrice: p.price,
-                    originalCurrency: 'NGN', // Assuming local is NGN
+                    originalCurrency: 'NGN', // Vendor products are listed in NGN
                     link: `/product/${p.id}`
-                }));
+                });
+            }
 
-                if (localDeals.length > 0) {
-                    sendEvent('deals', localDeals);
-                    allDeals.push(...localDeals);
-                    localDealsCount = localDeals.length;
-                    sendEvent('search-progress', { message: `Found ${localDealsCount} items in local store.`, resultsFound: allDeals.length });
-                }
+            if (localDeals.length > 0) {
+                await sendDeals(localDeals);
+                allDeals.push(...localDeals);
+                localDealsCount = localDeals.length;
+                sendEvent('search-progress', { message: `Found ${localDealsCount} items in local store.`, resultsFound: allDeals.length });
             }
-        } catch (err) {
-            console.error("Local search stream error", err);
         }
+    } catch (err) {
+        console.error("Local search stream error", err);
+    }
 
-        // Note: We'll check local-status AFTER all searches complete (see before 'done' event)
-
-        // Detect category with AI
-        sendEvent('search-progress', { message: 'Analyzing query intent with AI...', resultsFound: allDeals.length });
-        const aiCategory = await aiService.detectCategoryWithAI(searchQuery);
-        console.log(`🧠 AI determined category for "${searchQuery}": ${aiCategory}`);
-        sendEvent('search-progress', { message: `Intent detected: ${aiCategory.toUpperCase()}. Deep searching relevant stores...`, resultsFound: allDeals.length });
+    // Note: We'll check local-status AFTER all searches complete (see before 'done' event)
 
-        // --- EXTERNAL SEARCH ---
+    // Detect category with AI
+    sendEvent('search-progress', { message: 'Analyzing query intent with AI...', resultsFound: allDeals.length });
+    const aiCategory = await aiService.detectCategoryWithAI(searchQuery);
+    console.log(`🧠 AI determined category for "${searchQuery}": ${aiCategory}`);
+    sendEvent('search-progress', { message: `Intent detected: ${aiCategory.toUpperCase()}. Deep searching relevant stores...`, resultsFound: allDeals.length });
 
-        const externalApiUrl = `http://localhost:${process.env.PORT || 3000}/api/search`;
-        try {
-            sendEvent('search-progress', { message: 'Contacting external search engine...', resultsFound: allDeals.length });
-            const apiResponse = await axios.get(externalApiUrl, { params: { q: searchQuery, category: aiCategory } });
-            const apiResults = apiResponse.data?.results || [];
-
-            sendEvent('search-progress', { message: `Retrieved ${apiResults.length} raw results. Processing...`, resultsFound: allDeals.length });
-
-            // Process these results (price conversion, affiliate links, etc.)
-            // We can reuse findBestDeals logic but we need to pass just these results
-            const wrappedResults = { shopping_results: apiResults };
-
-            const processedExternal = await findBestDeals(
-                wrappedResults,
-                searchQuery,
-                userId,
-                session,
-                aiCategory,
-                (msg, count) => sendEvent('search-progress', { message: msg, resultsFound: allDeals.length + (count || 0) })
-            );
+    // --- EXTERNAL SEARCH ---
+    // One scrapper request per store. Each store's results are processed and sent as their
+    // own `deals` event as soon as that store answers, with `store-status` events
+    // (pending, then done / failed / timeout) so the client can show per-store progress.
+    const externalDeals = [];
 
-            if (processedExternal.deals && processedExternal.deals.length > 0) {
-                // Apply global prioritization (Jumia first) to this batch
-                const prioritizedBatch = await prioritizeResults(processedExternal.deals, country);
-                sendEvent('deals', prioritizedBatch);
-                allDeals.push(...prioritizedBatch);
-                sendEvent('search-progress', { message: `Optimized results from ${prioritizedBatch.length} sources.`, resultsFound: allDeals.length });
+    try {
+        sendEvent('search-progress', { message: 'Contacting stores...', resultsFound: allDeals.length });
+        const external = await searchService.searchByStore(searchQuery, {
+            category: aiCategory,
+            country,
+            onStatus: (status) => sendEvent('store-status', status),
+            onResults: async ({ name, results }) => {
+                if (results.length === 0) return 0;
+
+                // Price conversion, affiliate links, rule-based attributes and policy order for this
+                // store's results. No Gemini passes here: they would run once per store, and the
+                // keyword relevance filter in prepareDeals still applies.
+                const prepared = await prepareDeals(
+                    { shopping_results: results, country, currency: displayCurrency },
+                    searchQuery,
+                    aiCategory
+                );
+                if (prepared.deals.length === 0) return 0;
+                await dealAttributes.extractAttributesForDeals(prepared.deals, { useAI: false });
+                const storeDeals = rankingPolicy.rankDeals(prepared.deals, { policy: prepared.policy });
+
+                await sendDeals(storeDeals);
+                externalDeals.push(...storeDeals);
+                allDeals.push(...storeDeals);
+                sendEvent('search-progress', { message: `${storeDeals.length} deals from ${name}.`, resultsFound: allDeals.length });
+                return storeDeals.length;
             }
+        });
 
-        } catch (err) {
-            console.error("External search stream error", err);
-            sendEvent('search-progress', { message: 'Search engine returned an error. Moving to alternatives...' });
+        upstreamUnavailable = external.upstreamUnavailable;
+        if (upstreamUnavailable) {
+            throw new Error('Scrapper unavailable: no store answered');
         }
 
-        // 3. Cache and cleanup
-        if (allDeals.length > 0) {
-            // Update Cache
-            await setCachedSearch(cacheKey, { deals: allDeals, totalValid: allDeals.length, aiDealSummary: null });
+        // Stored and cached in policy order across stores, local vendor products first
+        allDeals = [
+            ...allDeals.filter(deal => deal.isLocal),
+            ...rankingPolicy.rankDeals(externalDeals, { country, category: aiCategory })
+        ];
+    } catch (err) {
+        console.error("External search stream error", err.message);
+        sendEvent('search-progress', {
+            message: upstreamUnavailable
+                ? 'Store search is temporarily unavailable. Showing what we could find...'
+                : 'Search engine returned an error. Moving to alternatives...'
+        });
+    }
 
-            // Update Conversation (Database)
-            // Similar logic to existing execute-search
-            try {
-                const conversation = await Conversation.findOne({ sessionId: session });
-                if (conversation && conversation.messages.length > 0) {
-                    const lastAssistantIndex = conversation.messages.map((m, i) => ({ role: m.role, index: i }))
-                        .reverse()
-                        .find(m => m.role === 'assistant')?.index;
-                    if (lastAssistantIndex !== undefined) {
-                        // We probably want to update it with the FULL list
-                        Object.assign(conversation.messages[lastAssistantIndex], {
-                            type: 'recommendation', // or message
-                            deals: allDeals,
-                            searchQuery: searchQuery
-                        });
-                        conversation.updatedAt = new Date();
-
-                        // Only save if we have a userId to satisfy schema validation
-                        if (conversation.userId) {
-                            await conversation.save();
-                            console.log(`💾 Updated conversation with stream results: ${session}`);
-                        }
+    // 3. Cache and cleanup
+    if (allDeals.length > 0) {
+        // Update Cache. The streamed store batches skipped the Gemini relevance pass, but
+        // /api/execute-search and /api/chat read this entry too, so it gets the single pass
+        // findBestDeals would have run. Runs in the background so `done` isn't held up by it.
+        const localDeals = allDeals.filter(deal => deal.isLocal);
+        const rankedExternal = allDeals.filter(deal => !deal.isLocal);
+        (rankedExternal.length > 0 ? aiRelevancePass(rankedExternal, searchQuery) : Promise.resolve([]))
+            .then(relevant => {
+                const cachedDeals = [...localDeals, ...rankingPolicy.rankDeals(relevant, { country, category: aiCategory })];
+                return searchCache.setCachedSearch(cacheParams, { deals: cachedDeals, totalValid: cachedDeals.length, aiDealSummary: null });
+            })
+            .catch(error => console.error('Error caching streamed search:', error.message));
+
+        // Update Conversation (Database)
+        // Similar logic to existing execute-search
+        try {
+            const conversation = await Conversation.findOne({ sessionId: session });
+            if (conversation && conversation.messages.length > 0) {
+                const lastAssistantIndex = conversation.messages.map((m, i) => ({ role: m.role, index: i }))
+                    .reverse()
+                    .find(m => m.role === 'assistant')?.index;
+                if (lastAssistantIndex !== undefined) {
+                    // We probably want to update it with the FULL list
+                    Object.assign(conversation.messages[lastAssistantIndex], {
+                        type: 'recommendation', // or message
+                        deals: allDeals,
+                        searchQuery: searchQuery
+                    });
+                    conversation.updatedAt = new Date();
+
+                    // Only save if we have a userId to satisfy schema validation
+                    if (conversation.userId) {
+                        await conversation.save();
+                        console.log(`💾 Updated conversation with stream results: ${session}`);
                     }
                 }
-            } catch (e) { console.error("Error updating conversation", e); }
-        }
+            }
+        } catch (e) { console.error("Error updating conversation", e); }
+    }
+
 
+    // Check if we have any results from local Nigerian stores (slot, jumia, jiji, konga, ...)
+    const localStoreDeals = allDeals.filter(deal => storeRegistry.isNigerianSource(deal.source));
 
-        // Check if we have any results from local Nigerian stores (slot, jumia, jiji, konga)
-        const localStoreDeals = allDeals.filter(deal => {
-            const source = deal.source?.toLowerCase() || '';
-            return source.includes('slot') || source.includes('jumia') ||
-                source.includes('jiji') || source.includes('konga') ||
-                source.includes('ajebo');
+    // Only send local-status if no local store results found
+    // This triggers the Search Party modal AFTER all searches are complete
+    // (not during a scrapper outage, when the stores were never searched)
+    if (localStoreDeals.length === 0 && !upstreamUnavailable) {
+        sendEvent('local-status', {
+            found: localStoreDeals.length,
+            userHasPhone: !!(user && user.phoneNumber)
         });
+    }
 
-        // Only send local-status if no local store results found
-        // This triggers the Search Party modal AFTER all searches are complete
-        if (localStoreDeals.length === 0) {
-            sendEvent('local-status', {
-                found: localStoreDeals.length,
-                userHasPhone: !!(user && user.phoneNumber)
-            });
-        }
+    // Same product across stores, grouped with per-store offers sorted by price
+    const products = productMatching.clusterDeals(sentDeals);
+    sendEvent('products', products);
+    sendFacets();
+
+    // Send Done
+    sendEvent('search-progress', { message: `Search complete! Found ${allDeals.length} high-quality deals across ${products.length} products.`, resultsFound: allDeals.length });
+    sendEvent('done', {
+        totalValid: allDeals.length,
+        ratesStale: hasStaleRates(allDeals),
+        searchStatus: upstreamUnavailable ? 'upstream_unavailable' : 'ok'
+    });
+}
+
+// Re-attach to a search stream after a dropped connection. Replays the buffered events after
+// Last-Event-ID (header, or ?lastEventId= for clients that can't set it), then follows the
+// search live if it is still running.
+app.get('/api/searches/:id/events', authenticateToken, (req, res) => {
+    const stream = searchStreams.getStream(req.params.id);
+    if (!stream) {
+        return res.status(404).json({ error: 'Search not found or expired' });
+    }
+    if (!searchStreams.canAccess(stream, req.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+    }
+
+    searchStreams.openResponse(res);
+    searchStreams.attach(stream.id, res, req.get('Last-Event-ID') || req.query.lastEventId);
+});
+
+// Execute search endpoint with STREAMING (Incremental Results)
+app.post('/api/execute-search-stream', authenticateToken, async (req, res) => {
+    const { searchQuery, sessionId: clientSessionId } = req.body;
+    const userId = req.userId;
+
+    // A client retrying the POST with the search id it was given resumes that search
+    // instead of starting a new scrape
+    const resumed = req.body.searchId && searchStreams.getStream(req.body.searchId);
+    if (resumed && searchStreams.canAccess(resumed, userId)) {
+        searchStreams.openResponse(res);
+        searchStreams.attach(resumed.id, res, req.get('Last-Event-ID') || req.body.lastEventId);
+        return;
+    }
+
+    if (!searchQuery) {
+        return res.status(400).json({ error: 'Search query is required' });
+    }
+
+    // Events are numbered and buffered under a search id so a dropped client can resume
+    // (GET /api/searches/:id/events); the search carries on if the client goes away
+    const stream = searchStreams.createStream({ userId, query: searchQuery });
+    searchStreams.openResponse(res);
+    res.setHeader('X-Search-Id', stream.id);
+    searchStreams.attach(stream.id, res);
+
+    const sendEvent = (event, data) => searchStreams.emit(stream.id, event, data);
+    sendEvent('search', { searchId: stream.id, query: searchQuery });
 
-        // Send Done
-        sendEvent('search-progress', { message: `Search complete! Found ${allDeals.length} high-quality deals.`, resultsFound: allDeals.length });
-        sendEvent('done', { totalValid: allDeals.length });
-        res.end();
+    const session = clientSessionId || generateSessionId(req);
 
+    try {
+        await runSearchStream({ searchQuery, userId, session, params: { ...req.query, ...req.body } }, sendEvent);
     } catch (error) {
         console.error('Stream execution failed:', error);
         sendEvent('error', { message: 'Search stream failed' });
-        res.end();
+    } finally {
+        searchStreams.finish(stream.id);
     }
 });
 
+// Run authenticateToken against a chat socket's upgrade request. Resolves to { userId }.
+function authenticateSocket(req) {
+    const url = new URL(req.url, 'http://localhost');
+    req.path = url.pathname;
+    req.query = Object.fromEntries(url.searchParams);
+
+    // Browsers can't set an Authorization header on a WebSocket
+    const token = url.searchParams.get('token');
+    if (token && !req.headers.authorization) {
+        req.headers.authorization = `Bearer ${token}`;
+    }
+
+    return new Promise((resolve) => {
+        // Clerk sets observability headers and, for unknown or interstitial sessions, ends the
+        // response without calling next; either way the socket continues as anonymous
+        const res = { setHeader() {}, writeHead() {}, end() { resolve({ userId: null }); } };
+        authenticateToken(req, res, () => resolve({ userId: req.userId || null }));
+    });
+}
+
+// One chat socket turn: the chat reply, then the streamed search when Gemini asked for one
+async function runChatSocketTurn(payload, { userId, req, signal }, send) {
+    const { message, searchQuery } = payload;
+    if (!message && !searchQuery) {
+        send('error', { message: 'Message or search query is required' });
+        return;
+    }
+
+    const chat = await runChatTurn({
+        message,
+        searchQuery,
+        sessionId: payload.sessionId,
+        userId,
+        onDelta: text => send('ai-delta', { text }),
+        signal
+    }, req);
+    send('ai-response', {
+        aiResponse: chat.aiResponse,
+        sessionId: chat.sessionId,
+        shouldSearch: chat.shouldSearch,
+        searchQuery: chat.searchQuery,
+        category: chat.category
+    });
+
+    if (!chat.shouldSearch || !chat.searchQuery) {
+        send('done', { sessionId: chat.sessionId, searched: false });
+        return;
+    }
+
+    send('search-start', { searchQuery: chat.searchQuery, category: chat.category });
+
+    // Buffered like an SSE search, so a client whose socket drops can pick the search up
+    // again through GET /api/searches/:id/events, passing the last frame's id as Last-Event-ID
+    const stream = searchStreams.createStream({ userId, query: chat.searchQuery });
+    const sendEvent = (event, data) => {
+        const id = searchStreams.emit(stream.id, event, data);
+        send(event, data, id);
+    };
+    sendEvent('search', { searchId: stream.id, query: chat.searchQuery });
+
+    try {
+        await runSearchStream({
+            searchQuery: chat.searchQuery,
+            userId,
+            session: chat.sessionId,
+            params: { ...payload, category: chat.category }
+        }, sendEvent);
+    } catch (error) {
+        console.error('Chat socket search failed:', error);
+        sendEvent('error', { message: 'Search stream failed' });
+    } finally {
+        searchStreams.finish(stream.id);
+    }
+}
+
 // Reset conversation endpoint
 app.post('/api/reset', (req, res) => {
     const { sessionId } = req.body;
@@ -3464,8 +4482,7 @@ app.get('/api/whatsapp/status', (req, res) => {
     res.json(whatsappService.getStatus());
 });
 
-app.post('/api/whatsapp/send', authenticateToken, async (req, res) => {
-    // Basic security for now: only allow admin or specific users if needed
+app.post('/api/whatsapp/send', requireRole('admin'), async (req, res) => {
     const { phoneNumber, message } = req.body;
     if (!phoneNumber || !message) {
         return res.status(400).json({ error: 'Phone number and message are required' });
@@ -3500,9 +4517,14 @@ const server = app.listen(PORT, () => {
     }
 });
 
+// Chat turns over WebSocket (/ws/chat)
+chatSocket.attach(server, { authenticate: authenticateSocket, handleTurn: runChatSocketTurn });
+
 // Handle graceful shutdown
 const gracefulShutdown = async () => {
     console.log('🛑 Graceful shutdown initiated...');
+    searchQueue.stop();
+    chatSocket.close();
     await whatsappService.destroy();
     server.close(() => {
         console.log('👋 Server closed.');
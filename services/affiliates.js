@@ -0,0 +1,132 @@
+// Affiliate programs - stored in MongoDB (AffiliateProgram) and editable by admins.
+// Programs are cached in memory so link generation stays synchronous; the cache is
+// reloaded on startup and after every admin change. Until the first load (or when
+// the collection is empty) the defaults declared on each store in services/stores.js apply.
+
+const mongoose = require('mongoose');
+const storeRegistry = require('./stores');
+
+let programs = null; // null until loaded from the database
+
+// Lazy-load the model (defined in server.js) to avoid load-order issues
+function getAffiliateProgramModel() {
+    return mongoose.model('AffiliateProgram');
+}
+
+/**
+ * Programs derived from the store registry's `affiliate` declarations.
+ */
+function defaultPrograms() {
+    return storeRegistry.listStores()
+        .filter(store => store.affiliate)
+        .map(store => ({
+            programKey: store.id,
+            name: `${store.name} Affiliate`,
+            storeId: store.id,
+            country: null,
+            domains: store.domains,
+            type: store.affiliate.type || 'query_param',
+            param: store.affiliate.param,
+            value: store.affiliate.value,
+            template: store.affiliate.template,
+            enabled: !!store.affiliate.enabled,
+            priority: 0
+        }));
+}
+
+/**
+ * Insert the registry defaults for stores that have no program yet.
+ */
+async function seedDefaultPrograms() {
+    const AffiliateProgram = getAffiliateProgramModel();
+    for (const program of defaultPrograms()) {
+        await AffiliateProgram.updateOne(
+            { programKey: program.programKey },
+            { $setOnInsert: program },
+            { upsert: true }
+        );
+    }
+}
+
+async function loadPrograms() {
+    try {
+        await seedDefaultPrograms();
+        programs = await getAffiliateProgramModel().find().lean();
+        console.log(`🔗 Loaded ${programs.length} affiliate programs (${programs.filter(p => p.enabled).length} enabled).`);
+    } catch (error) {
+        console.error('❌ Error loading affiliate programs:', error.message);
+    }
+    return programs;
+}
+
+function getPrograms() {
+    return programs && programs.length > 0 ? programs : defaultPrograms();
+}
+
+function programDomains(program) {
+    if (program.domains && program.domains.length > 0) return program.domains;
+    const store = storeRegistry.getStore(program.storeId);
+    return store ? store.domains : [];
+}
+
+/**
+ * Pick the enabled program for a link host. Programs targeting the user's country
+ * win over country-agnostic ones; programs for other countries are ignored.
+ */
+function findProgram(hostname, country = null) {
+    const host = hostname.toLowerCase();
+    const candidates = getPrograms().filter(p =>
+        p.enabled &&
+        (!p.country || p.country === country) &&
+        programDomains(p).some(domain => host.includes(domain))
+    );
+
+    candidates.sort((a, b) => {
+        const countryDiff = (b.country === country ? 1 : 0) - (a.country === country ? 1 : 0);
+        return countryDiff || (b.priority || 0) - (a.priority || 0);
+    });
+
+    return candidates[0] || null;
+}
+
+/**
+ * Apply a program to a link: set a query parameter, or wrap the link in a deep-link
+ * template ({url} is the encoded product link, {rawUrl} the unencoded one).
+ */
+function buildAffiliateUrl(link, program) {
+    if (program.type === 'url_template') {
+        if (!program.template) return null;
+        return program.template
+            .replace(/\{url\}/g, encodeURIComponent(link))
+            .replace(/\{rawUrl\}/g, link);
+    }
+
+    if (!program.param) return null;
+    const url = new URL(link);
+    url.searchParams.set(program.param, program.value || '');
+    return url.toString();
+}
+
+/**
+ * Attribute a product link to an affiliate program.
+ * Returns { link, programKey } where programKey is null when no program applied.
+ */
+function applyAffiliate(link, { country = null } = {}) {
+    const url = new URL(link);
+    const program = findProgram(url.hostname, country);
+    if (!program) return { link, programKey: null };
+
+    const affiliateUrl = buildAffiliateUrl(link, program);
+    if (!affiliateUrl) return { link, programKey: null };
+
+    return { link: affiliateUrl, programKey: program.programKey };
+}
+
+module.exports = {
+    loadPrograms,
+    getPrograms,
+    defaultPrograms,
+    findProgram,
+    buildAffiliateUrl,
+    applyAffiliate
+};
@@ -2,7 +2,9 @@ const axios = require('axios');
 
 const GEMINI_MODEL = process.env.GEMINI_MODEL || 'models/gemini-2.5-pro';
 const GEMINI_URL = `https://generativelanguage.googleapis.com/v1/${GEMINI_MODEL}:generateContent`;
+const GEMINI_STREAM_URL = `https://generativelanguage.googleapis.com/v1/${GEMINI_MODEL}:streamGenerateContent`;
 const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
+const GEMINI_STREAM_TIMEOUT_MS = parseInt(process.env.GEMINI_STREAM_TIMEOUT_MS, 10) || 60000;
 
 if (!GOOGLE_API_KEY) {
     console.error('❌ WARNING: GOOGLE_API_KEY is not defined in environment variables!');
@@ -55,6 +57,227 @@ async function callGeminiAPI(prompt, imageBuffer = null, mimeType = null) {
     }
 }
 
+/**
+ * Streaming variant of callGeminiAPI (text prompts only). Calls onDelta(text) for each chunk
+ * of text as Gemini produces it and resolves to the full response text.
+ *
+ * The request is cancelled when `signal` aborts (the chat client went away) or when the whole
+ * reply takes longer than `timeoutMs`. A cancelled request rejects with an error whose code is
+ * 'ABORTED' or 'TIMEOUT'.
+ */
+async function streamGeminiAPI(prompt, onDelta = () => {}, { signal = null, timeoutMs = GEMINI_STREAM_TIMEOUT_MS } = {}) {
+    const controller = new AbortController();
+    const cancel = (code, message) => {
+        if (controller.signal.aborted) return;
+        const error = new Error(message);
+        error.code = code;
+        controller.abort(error);
+    };
+    const onAbort = () => cancel('ABORTED', 'Gemini stream aborted: the client disconnected');
+    const timer = setTimeout(() => cancel('TIMEOUT', `Gemini stream timed out after ${timeoutMs}ms`), timeoutMs);
+
+    if (signal) {
+        if (signal.aborted) onAbort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+    }
+    const cleanup = () => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    let response;
+    try {
+        response = await axios.post(
+            `${GEMINI_STREAM_URL}?alt=sse&key=${GOOGLE_API_KEY}`,
+            { contents: [{ parts: [{ text: prompt }] }] },
+            { headers: { 'Content-Type': 'application/json' }, responseType: 'stream', signal: controller.signal }
+        );
+    } catch (error) {
+        cleanup();
+        if (controller.signal.aborted) throw controller.signal.reason;
+        console.error('Gemini API Error:', error.message);
+        throw new Error('Failed to generate a response from Gemini');
+    }
+
+    return new Promise((resolve, reject) => {
+        let buffered = '';
+        let fullText = '';
+
+        // Stop reading (and close the connection to Gemini) as soon as the request is cancelled
+        const onCancel = () => {
+            cleanup();
+            response.data.destroy();
+            reject(controller.signal.reason);
+        };
+        if (controller.signal.aborted) return onCancel();
+        controller.signal.addEventListener('abort', onCancel, { once: true });
+
+        // Each SSE event carries one GenerateContentResponse with the next piece of text
+        const handleEvent = (event) => {
+            const data = event.split('\n').filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('');
+            if (!data) return;
+            try {
+                const parts = JSON.parse(data).candidates?.[0]?.content?.parts || [];
+                const text = parts.map(part => part.text || '').join('');
+                if (text) {
+                    fullText += text;
+                    onDelta(text);
+                }
+            } catch (error) {
+                console.error('Gemini stream parse error:', error.message);
+            }
+        };
+
+        response.data.on('data', (chunk) => {
+            buffered += chunk.toString().replace(/\r\n/g, '\n');
+            let boundary;
+            while ((boundary = buffered.indexOf('\n\n')) !== -1) {
+                handleEvent(buffered.slice(0, boundary));
+                buffered = buffered.slice(boundary + 2);
+            }
+        });
+        response.data.on('end', () => {
+            controller.signal.removeEventListener('abort', onCancel);
+            cleanup();
+            if (buffered.trim()) handleEvent(buffered);
+            resolve(fullText || 'Sorry, I could not generate a response.');
+        });
+        response.data.on('error', (error) => {
+            controller.signal.removeEventListener('abort', onCancel);
+            cleanup();
+            if (controller.signal.aborted) return reject(controller.signal.reason);
+            console.error('Gemini stream error:', error.message);
+            reject(new Error('Failed to generate a response from Gemini'));
+        });
+    });
+}
+
+// The chat prompt asks Gemini to end with "SEARCH: <query>" and "CATEGORY: <category>". A marker
+// starts at SEARCH: or CATEGORY: anywhere in a line (not inside a word), optionally wrapped in
+// markdown emphasis ("**SEARCH:** tv"), and runs to the end of the line. extractSearchMarkers
+// and createMarkerFilter both go through findMarker so they agree on what is removed.
+const MARKER_KEYS = ['SEARCH:', 'CATEGORY:'];
+const MARKER_EMPHASIS = ['', '*', '**', '_', '__'];
+const MARKER_FORMS = MARKER_EMPHASIS.flatMap(emphasis => MARKER_KEYS.map(key => emphasis + key));
+const MARKER_PATTERN = /(^|[^\p{L}\p{N}])(\*\*|__|\*|_)?(SEARCH|CATEGORY):/u;
+
+function isWordChar(char) {
+    return !!char && /[\p{L}\p{N}]/u.test(char);
+}
+
+/**
+ * First marker in a line: { index, key, value } where index is where the marker (with any
+ * emphasis) starts, or null.
+ */
+function findMarker(line) {
+    const match = line.match(MARKER_PATTERN);
+    if (!match) return null;
+
+    const index = match.index + match[1].length;
+    const value = line.slice(match.index + match[0].length)
+        .replace(/^[\s*_]+/, '')
+        .replace(/[\s*_]+$/, '');
+    return { index, key: match[3], value };
+}
+
+/**
+ * Pull the SEARCH: and CATEGORY: markers out of a chat response. Text before a marker on the
+ * same line is kept. Returns { text, shouldSearch, searchQuery, category }.
+ */
+function extractSearchMarkers(response) {
+    let searchQuery = null;
+    let category = 'other';
+    const kept = [];
+
+    for (const line of String(response || '').split('\n')) {
+        const marker = findMarker(line);
+        if (!marker) {
+            kept.push(line);
+            continue;
+        }
+        if (marker.key === 'SEARCH' && searchQuery === null) searchQuery = marker.value;
+        if (marker.key === 'CATEGORY' && category === 'other' && marker.value) category = marker.value.toLowerCase();
+
+        const before = line.slice(0, marker.index).trimEnd();
+        if (before) kept.push(before);
+    }
+
+    const shouldSearch = !!searchQuery;
+    return {
+        text: kept.join('\n').trim(),
+        shouldSearch,
+        searchQuery: shouldSearch ? searchQuery : null,
+        category: shouldSearch ? category : 'other'
+    };
+}
+
+/**
+ * Wrap a delta callback so markers are never forwarded. Text that could still turn out to be
+ * the start of a marker is held back until it can't; once a marker is found the rest of its
+ * line is dropped. Call flush() at the end.
+ */
+function createMarkerFilter(onText) {
+    let pending = ''; // text not yet forwarded
+    let previous = ''; // last character forwarded on the current line
+    let inMarker = false; // dropping the rest of a marker line
+    let lineHasText = false;
+
+    // Length of the longest tail of `pending` that is the start of a marker
+    const heldLength = () => {
+        for (let length = Math.min(pending.length, Math.max(...MARKER_FORMS.map(f => f.length))); length > 0; length--) {
+            const tail = pending.slice(-length);
+            const before = pending.length > length ? pending[pending.length - length - 1] : previous;
+            if (!isWordChar(before) && MARKER_FORMS.some(form => form.startsWith(tail))) return length;
+        }
+        return 0;
+    };
+
+    return {
+        push(text) {
+            let out = '';
+            const forward = (chunk) => {
+                if (!chunk) return;
+                out += chunk;
+                previous = chunk[chunk.length - 1];
+                if (chunk.trim()) lineHasText = true;
+            };
+
+            for (const char of text) {
+                if (inMarker) {
+                    if (char !== '\n') continue;
+                    inMarker = false;
+                    if (lineHasText) forward('\n');
+                    previous = '';
+                    lineHasText = false;
+                    continue;
+                }
+
+                pending += char;
+                const marker = findMarker(pending);
+                if (marker) {
+                    forward(pending.slice(0, marker.index).trimEnd());
+                    pending = '';
+                    inMarker = true;
+                } else if (char === '\n') {
+                    forward(pending);
+                    pending = '';
+                    previous = '';
+                    lineHasText = false;
+                } else {
+                    const held = heldLength();
+                    forward(pending.slice(0, pending.length - held));
+                    pending = pending.slice(pending.length - held);
+                }
+            }
+            if (out) onText(out);
+        },
+        flush() {
+            if (!inMarker && pending && !findMarker(pending)) onText(pending);
+            pending = '';
+        }
+    };
+}
+
 /**
  * Build user preferences prompt for AI
  */
@@ -344,12 +567,55 @@ Return ONLY the JSON array.`;
     }
 }
 
+/**
+ * Use AI to extract structured attributes from product titles.
+ * Returns one object per title (same order), or an empty array on failure.
+ */
+async function extractAttributesWithAI(titles) {
+    if (!titles || titles.length === 0) return [];
+
+    const itemsText = titles.map((title, index) => `${index}: ${title}`).join('\n');
+
+    const prompt = `Extract product attributes from each of these shopping listing titles:
+${itemsText}
+
+For each title return an object with these keys (use null when the title does not say):
+- brand: manufacturer (e.g. "apple", "samsung", "nike")
+- model: model name without brand, storage or color (e.g. "iphone 15 pro", "air max 90")
+- capacity: storage, battery or volume (e.g. "256gb", "20000mah", "1.5l")
+- size: screen or clothing size (e.g. "6.7in", "XL", "42")
+- condition: one of "new", "used", "refurbished"
+- color: main color (e.g. "black")
+
+Return ONLY a JSON array with one object per title, in the same order. No other text.`;
+
+    try {
+        const aiResponse = await callGeminiAPI(prompt);
+        const match = aiResponse.match(/\[[\s\S]*\]/);
+        if (match) {
+            const parsed = JSON.parse(match[0]);
+            if (Array.isArray(parsed)) {
+                console.log(`🤖 AI Attributes: Extracted attributes for ${parsed.length}/${titles.length} titles`);
+                return parsed;
+            }
+        }
+        return [];
+    } catch (error) {
+        console.error('AI attribute extraction error:', error.message);
+        return [];
+    }
+}
+
 module.exports = {
     callGeminiAPI,
+    streamGeminiAPI,
+    extractSearchMarkers,
+    createMarkerFilter,
     generateAIPrompt,
     buildUserPreferencesPrompt,
     buildSearchPreferencesPrompt,
     detectCategoryWithAI,
     formatDisplayMessage,
-    rankResultsWithAI
+    rankResultsWithAI,
+    extractAttributesWithAI
 };
@@ -0,0 +1,197 @@
+// Click-through and conversion analytics over ClickTracking.
+// Every report takes a { from, to } date range and returns plain rows that the
+// admin endpoints serve as JSON or CSV.
+
+const mongoose = require('mongoose');
+
+// Lazy-load the model (defined in server.js) to avoid load-order issues
+function getClickTrackingModel() {
+    return mongoose.model('ClickTracking');
+}
+
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Parse `from`/`to` query params (ISO dates). Defaults to the last 30 days.
+ * Returns null when either date is invalid.
+ */
+function parseDateRange(query = {}) {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) return null;
+    return { from, to };
+}
+
+// Records with neither a user nor a session were never shown to anyone (cache refreshes used
+// to write them), so they are left out of every report
+function rangeMatch({ from, to }) {
+    return {
+        $match: {
+            createdAt: { $gte: from, $lte: to },
+            $or: [{ userId: { $ne: null } }, { sessionId: { $nin: [null, ''] } }]
+        }
+    };
+}
+
+// Impressions are `impression` records written by trackImpressions when deals are shown;
+// /api/track-view writes `view` records, which count as clicks
+const IMPRESSION = { $cond: [{ $eq: ['$kind', 'impression'] }, 1, 0] };
+const CLICK = { $cond: ['$clicked', 1, 0] };
+
+const GROUP_KEYS = {
+    source: '$source',
+    category: { $ifNull: ['$category', 'unknown'] },
+    query: { $toLower: { $ifNull: ['$searchQuery', ''] } },
+    day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+    program: { $ifNull: ['$affiliateProgram', 'none'] }
+};
+
+/**
+ * Impressions, clicks and click-through rate grouped by source, category, query, day or affiliate program.
+ */
+async function clickThroughRate(range, groupBy = 'source', { limit = 100 } = {}) {
+    const key = GROUP_KEYS[groupBy];
+    if (!key) throw new Error(`Unsupported groupBy: ${groupBy}`);
+
+    const rows = await getClickTrackingModel().aggregate([
+        rangeMatch(range),
+        // Records written before `kind` existed are left out: a /api/track-view row and a clicked
+        // impression look the same there, so they can't be counted as either
+        { $match: { kind: { $in: ['impression', 'view'] } } },
+        { $group: { _id: key, impressions: { $sum: IMPRESSION }, clicks: { $sum: CLICK } } },
+        {
+            $project: {
+                _id: 0,
+                [groupBy]: '$_id',
+                impressions: 1,
+                clicks: 1,
+                ctr: {
+                    $cond: [{ $gt: ['$impressions', 0] }, { $round: [{ $divide: ['$clicks', '$impressions'] }, 4] }, null]
+                }
+            }
+        },
+        { $sort: groupBy === 'day' ? { day: 1 } : { clicks: -1, impressions: -1 } },
+        { $limit: groupBy === 'day' ? 366 : limit }
+    ]);
+
+    return rows;
+}
+
+/**
+ * Most clicked products (title + source) in the range.
+ */
+async function topClickedProducts(range, { limit = 20 } = {}) {
+    return getClickTrackingModel().aggregate([
+        rangeMatch(range),
+        { $match: { clicked: true } },
+        {
+            $group: {
+                _id: { title: '$productTitle', source: '$source' },
+                clicks: { $sum: 1 },
+                avgPrice: { $avg: '$price' },
+                link: { $last: '$originalLink' },
+                lastClickedAt: { $max: '$createdAt' }
+            }
+        },
+        { $sort: { clicks: -1 } },
+        { $limit: limit },
+        {
+            $project: {
+                _id: 0,
+                productTitle: '$_id.title',
+                source: '$_id.source',
+                clicks: 1,
+                avgPrice: { $round: ['$avgPrice', 2] },
+                link: 1,
+                lastClickedAt: 1
+            }
+        }
+    ]);
+}
+
+/**
+ * Share of clicks that went through an affiliate link versus a plain store link.
+ * A click is an affiliate click when its record names an affiliate program; the links
+ * themselves can't tell, since impressions store the deal link as `affiliateLink` whether or not a program applied.
+ */
+async function affiliateClickShare(range) {
+    const rows = await getClickTrackingModel().aggregate([
+        rangeMatch(range),
+        { $match: { clicked: true } },
+        {
+            $group: {
+                _id: { $gt: [{ $ifNull: ['$affiliateProgram', ''] }, ''] },
+                clicks: { $sum: 1 }
+            }
+        }
+    ]);
+
+    const affiliate = rows.find(r => r._id === true)?.clicks || 0;
+    const nonAffiliate = rows.find(r => r._id === false)?.clicks || 0;
+    const total = affiliate + nonAffiliate;
+
+    return [
+        { type: 'affiliate', clicks: affiliate, share: total ? +(affiliate / total).toFixed(4) : null },
+        { type: 'non_affiliate', clicks: nonAffiliate, share: total ? +(nonAffiliate / total).toFixed(4) : null }
+    ];
+}
+
+/**
+ * Search → view → cart-add funnel. A "search" is one query from one session (or user);
+ * it counts as viewed if any of its results was clicked, and as carted if any was added to a cart.
+ */
+async function searchFunnel(range) {
+    const rows = await getClickTrackingModel().aggregate([
+        rangeMatch(range),
+        { $match: { searchQuery: { $nin: [null, ''] } } },
+        {
+            $group: {
+                _id: {
+                    who: { $ifNull: ['$sessionId', { $toString: '$userId' }] },
+                    query: { $toLower: '$searchQuery' }
+                },
+                viewed: { $max: CLICK },
+                carted: { $max: { $cond: ['$addedToCart', 1, 0] } }
+            }
+        },
+        { $group: { _id: null, searches: { $sum: 1 }, views: { $sum: '$viewed' }, cartAdds: { $sum: '$carted' } } }
+    ]);
+
+    const { searches = 0, views = 0, cartAdds = 0 } = rows[0] || {};
+    return [
+        { stage: 'search', count: searches, rate: searches ? 1 : null },
+        { stage: 'view', count: views, rate: searches ? +(views / searches).toFixed(4) : null },
+        { stage: 'cart_add', count: cartAdds, rate: searches ? +(cartAdds / searches).toFixed(4) : null }
+    ];
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let str = value instanceof Date ? value.toISOString() : String(value);
+    // Spreadsheets run text cells starting with these as formulas, and titles and queries are user input
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Serialize report rows to CSV (columns taken from the first row).
+ */
+function toCsv(rows) {
+    if (!rows || rows.length === 0) return '';
+    const columns = Object.keys(rows[0]);
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(c => csvCell(row[c])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    parseDateRange,
+    clickThroughRate,
+    topClickedProducts,
+    affiliateClickShare,
+    searchFunnel,
+    toCsv
+};
@@ -0,0 +1,142 @@
+// Deal attribute extraction - structured brand, model, capacity, size, condition and
+// color for each deal. Rules run on every title; Gemini (through aiService) optionally
+// fills the fields the rules could not find when AI_ATTRIBUTE_EXTRACTION=true.
+
+const aiService = require('./ai');
+const productMatching = require('./productMatching');
+
+const ATTRIBUTE_FIELDS = ['brand', 'model', 'capacity', 'size', 'condition', 'color'];
+const CONDITIONS = ['new', 'used', 'refurbished'];
+
+const AI_ENABLED = process.env.AI_ATTRIBUTE_EXTRACTION === 'true';
+const AI_BATCH_SIZE = 25;
+
+function extractCapacity(text, storage) {
+    if (storage) return storage;
+
+    const battery = text.match(/\b(\d{3,6})\s*mah\b/);
+    if (battery) return `${battery[1]}mah`;
+
+    const volume = text.match(/\b(\d+(?:\.\d+)?)\s*(?:l|litres?|liters?)\b/);
+    if (volume) return `${volume[1]}l`;
+
+    const weight = text.match(/\b(\d+(?:\.\d+)?)\s*kg\b/);
+    if (weight) return `${weight[1]}kg`;
+
+    return null;
+}
+
+function extractSize(text) {
+    // Screens: 6.7", 55 inch, 15.6-inch
+    const screen = text.match(/\b(\d{1,3}(?:\.\d)?)\s*(?:"|''|-?\s*inch(?:es)?\b|in\b)/);
+    if (screen) return `${screen[1]}in`;
+
+    // Clothing and shoes: "size 42", "size XL", "EU 43"
+    const labelled = text.match(/\b(?:size|eu|uk|us)\s*[:-]?\s*(\d{1,2}(?:\.5)?|xxs|xs|s|m|l|xl|xxl|xxxl|[2-5]xl)\b/);
+    if (labelled) return labelled[1].toUpperCase();
+
+    return null;
+}
+
+function extractCondition(text) {
+    if (/\b(refurbished|refurb|renewed|open[\s-]?box)\b/.test(text)) return 'refurbished';
+    if (/\b(used|pre[\s-]?owned|second[\s-]?hand|tokunbo|fairly used|foreign used)\b/.test(text)) return 'used';
+    if (/\b(brand new|new|sealed)\b/.test(text)) return 'new';
+    return null;
+}
+
+/**
+ * Rule-based attributes from a listing title. Fields the title does not state are null.
+ */
+function extractAttributes(title) {
+    const text = String(title || '').toLowerCase();
+    const identity = productMatching.extractIdentity(title);
+
+    return {
+        brand: identity.brand,
+        model: identity.model,
+        capacity: extractCapacity(text, identity.storage),
+        size: extractSize(text),
+        condition: extractCondition(text),
+        color: identity.color
+    };
+}
+
+function needsAI(attributes) {
+    return !attributes.brand || !attributes.model;
+}
+
+// Keep only known fields with usable values from an AI answer
+function sanitizeAIAttributes(raw) {
+    const clean = {};
+    if (!raw || typeof raw !== 'object') return clean;
+
+    for (const field of ATTRIBUTE_FIELDS) {
+        const value = raw[field];
+        if (typeof value !== 'string' || !value.trim() || value.toLowerCase() === 'null') continue;
+        clean[field] = value.trim().toLowerCase();
+    }
+    if (clean.condition && !CONDITIONS.includes(clean.condition)) delete clean.condition;
+    return clean;
+}
+
+/**
+ * Set `deal.attributes` on every deal. With AI enabled, titles the rules could not
+ * identify are sent to Gemini in batches and only the missing fields are filled.
+ */
+async function extractAttributesForDeals(deals, { useAI = AI_ENABLED } = {}) {
+    for (const deal of deals || []) {
+        deal.attributes = extractAttributes(deal.title);
+    }
+
+    if (!useAI) return deals;
+
+    const unresolved = (deals || []).filter(d => needsAI(d.attributes));
+    for (let i = 0; i < unresolved.length; i += AI_BATCH_SIZE) {
+        const batch = unresolved.slice(i, i + AI_BATCH_SIZE);
+        const aiResults = await aiService.extractAttributesWithAI(batch.map(d => d.title));
+
+        batch.forEach((deal, index) => {
+            const aiAttributes = sanitizeAIAttributes(aiResults[index]);
+            for (const field of ATTRIBUTE_FIELDS) {
+                if (!deal.attributes[field] && aiAttributes[field]) {
+                    deal.attributes[field] = aiAttributes[field];
+                }
+            }
+        });
+    }
+
+    return deals;
+}
+
+const ATTRIBUTE_LABELS = {
+    brand: 'Brand',
+    model: 'Model',
+    capacity: 'Capacity',
+    size: 'Size',
+    condition: 'Condition',
+    color: 'Color'
+};
+
+/**
+ * Side-by-side attribute rows for a comparison: [{ feature, values: [one per product] }].
+ * Uses each product's `attributes` when present, else extracts them from the title.
+ * Rows where no product has a value are left out.
+ */
+function buildAttributeRows(products) {
+    const attributeSets = products.map(p => p.attributes || extractAttributes(p.title));
+
+    return ATTRIBUTE_FIELDS
+        .map(field => ({
+            feature: ATTRIBUTE_LABELS[field],
+            values: attributeSets.map(attrs => attrs[field] || null)
+        }))
+        .filter(row => row.values.some(v => v !== null));
+}
+
+module.exports = {
+    ATTRIBUTE_FIELDS,
+    extractAttributes,
+    extractAttributesForDeals,
+    buildAttributeRows
+};
@@ -0,0 +1,252 @@
+// Popular-query cache warming - keeps the hottest searches in the search cache so they are
+// served without the scrapper call and the Gemini relevance pass.
+//
+// Every interval the job mines the most frequent search queries from ClickTracking (distinct
+// searches plus clicks) and Conversation messages, then re-runs the ones whose cache entry is
+// missing or expires before the next run. Runs are capped at a budget of queries per hour.
+//
+// Each query is warmed under the 'any' category, which is what /api/execute-search and the
+// search stream read when the request sends no category (the usual case), and also under its
+// most common tracked category, which is what /api/chat reads after Gemini names one.
+
+const mongoose = require('mongoose');
+const searchCache = require('./searchCache');
+const currencyService = require('./currency');
+
+const DEFAULTS = {
+    queriesPerHour: parseInt(process.env.CACHE_WARM_QUERIES_PER_HOUR, 10) || 20,
+    intervalMs: (parseInt(process.env.CACHE_WARM_INTERVAL_MINUTES, 10) || 15) * 60 * 1000,
+    lookbackDays: parseInt(process.env.CACHE_WARM_LOOKBACK_DAYS, 10) || 7,
+    candidates: parseInt(process.env.CACHE_WARM_CANDIDATES, 10) || 100,
+    countries: (process.env.CACHE_WARM_COUNTRIES || 'NG').split(',').map(c => c.trim().toUpperCase()).filter(Boolean)
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Lazy-load models (defined in server.js) to avoid load-order issues
+function getModels() {
+    return {
+        ClickTracking: mongoose.model('ClickTracking'),
+        Conversation: mongoose.model('Conversation'),
+        SearchResult: mongoose.model('SearchResult')
+    };
+}
+
+class CacheWarmer {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.timer = null;
+        this.running = false;
+        this.runTimes = []; // when each warm search started, for the hourly budget
+        this.lastRun = null; // { startedAt, finishedAt, candidates, warmed, skippedFresh, failed }
+    }
+
+    start() {
+        if (this.timer) return;
+        if (this.options.queriesPerHour <= 0) {
+            console.log('🔥 Cache warming disabled (CACHE_WARM_QUERIES_PER_HOUR=0).');
+            return;
+        }
+        console.log(`🔥 Cache warmer started (${this.options.queriesPerHour} queries/hour, every ${this.options.intervalMs / 60000} minutes).`);
+        this.timer = setInterval(() => this.runOnce(), this.options.intervalMs);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Searches left in the rolling one-hour budget.
+     */
+    remainingBudget() {
+        const cutoff = Date.now() - HOUR_MS;
+        this.runTimes = this.runTimes.filter(t => t > cutoff);
+        return Math.max(0, this.options.queriesPerHour - this.runTimes.length);
+    }
+
+    /**
+     * Most frequent queries over the lookback window, most popular first:
+     * [{ query, normalizedQuery, category, searches, clicks, mentions, score }].
+     */
+    async getPopularQueries(limit = this.options.candidates) {
+        const { ClickTracking, Conversation } = getModels();
+        const since = new Date(Date.now() - this.options.lookbackDays * 24 * HOUR_MS);
+
+        const [tracked, conversational] = await Promise.all([
+            // Each search records one impression per deal, so count distinct sessions (or users) as
+            // searches. Records with neither were not shown to anyone (e.g. written by earlier cache
+            // refreshes) and would make warmed queries look popular.
+            ClickTracking.aggregate([
+                {
+                    $match: {
+                        createdAt: { $gte: since },
+                        searchQuery: { $nin: [null, ''] },
+                        $or: [{ userId: { $ne: null } }, { sessionId: { $nin: [null, ''] } }]
+                    }
+                },
+                {
+                    $group: {
+                        _id: {
+                            query: { $toLower: { $trim: { input: '$searchQuery' } } },
+                            who: { $ifNull: ['$sessionId', { $toString: '$userId' }] }
+                        },
+                        query: { $last: '$searchQuery' },
+                        category: { $last: '$category' },
+                        clicks: { $sum: { $cond: ['$clicked', 1, 0] } }
+                    }
+                },
+                {
+                    $group: {
+                        _id: '$_id.query',
+                        query: { $last: '$query' },
+                        categories: { $push: '$category' },
+                        searches: { $sum: 1 },
+                        clicks: { $sum: '$clicks' }
+                    }
+                },
+                { $sort: { searches: -1, clicks: -1 } },
+                { $limit: limit * 2 }
+            ]),
+            Conversation.aggregate([
+                { $match: { updatedAt: { $gte: since } } },
+                { $unwind: '$messages' },
+                { $project: { query: { $ifNull: ['$messages.searchQuery', '$messages.metadata.searchQuery'] } } },
+                { $match: { query: { $type: 'string', $ne: '' } } },
+                { $group: { _id: { $toLower: { $trim: { input: '$query' } } }, query: { $last: '$query' }, mentions: { $sum: 1 } } },
+                { $sort: { mentions: -1 } },
+                { $limit: limit * 2 }
+            ])
+        ]);
+
+        // Merge both sources on the cache's query normalization
+        const merged = new Map();
+        const entryFor = (query) => {
+            const normalizedQuery = searchCache.normalizeQuery(query);
+            if (!normalizedQuery) return null;
+            if (!merged.has(normalizedQuery)) {
+                merged.set(normalizedQuery, { query, normalizedQuery, category: null, searches: 0, clicks: 0, mentions: 0 });
+            }
+            return merged.get(normalizedQuery);
+        };
+
+        for (const row of tracked) {
+            const entry = entryFor(row.query);
+            if (!entry) continue;
+            entry.searches += row.searches;
+            entry.clicks += row.clicks;
+            entry.category = entry.category || mostCommon(row.categories);
+        }
+        for (const row of conversational) {
+            const entry = entryFor(row.query);
+            if (entry) entry.mentions += row.mentions;
+        }
+
+        return [...merged.values()]
+            .map(entry => ({ ...entry, score: entry.searches + entry.mentions + entry.clicks }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * True when the entry is missing or expires before the next run.
+     */
+    async needsWarming(params) {
+        const { SearchResult } = getModels();
+        const entry = await SearchResult.findOne({ query: searchCache.buildCacheKey(params) }).select('lastUpdated').lean();
+        if (!entry) return true;
+        const expiresAt = new Date(entry.lastUpdated).getTime() + searchCache.TTL_MS;
+        return expiresAt - Date.now() < this.options.intervalMs;
+    }
+
+    /**
+     * Cache entries to warm for a popular query: one per country, under 'any' and under the
+     * tracked category (once when they are the same key).
+     */
+    warmTargets(candidate) {
+        const targets = new Map();
+        for (const country of this.options.countries) {
+            for (const category of [null, candidate.category]) {
+                const params = {
+                    query: candidate.query,
+                    country,
+                    currency: currencyService.currencyForCountry(country),
+                    category
+                };
+                targets.set(searchCache.buildCacheKey(params), params);
+            }
+        }
+        return [...targets.values()];
+    }
+
+    /**
+     * One warming pass within the remaining hourly budget.
+     */
+    async runOnce() {
+        if (this.running) return this.lastRun;
+        this.running = true;
+
+        const run = { startedAt: new Date(), finishedAt: null, candidates: 0, warmed: 0, skippedFresh: 0, failed: 0 };
+        try {
+            if (this.remainingBudget() === 0) {
+                console.log('🔥 Cache warming budget used up for this hour.');
+                return run;
+            }
+
+            const popular = await this.getPopularQueries();
+            run.candidates = popular.length;
+
+            for (const candidate of popular) {
+                for (const params of this.warmTargets(candidate)) {
+                    if (this.remainingBudget() === 0) return run;
+
+                    if (!(await this.needsWarming(params))) {
+                        run.skippedFresh++;
+                        continue;
+                    }
+
+                    this.runTimes.push(Date.now());
+                    const data = await searchCache.refreshEntry(params);
+                    if (data) run.warmed++;
+                    else run.failed++;
+                }
+            }
+            return run;
+        } catch (error) {
+            console.error('❌ Cache warming error:', error.message);
+            return run;
+        } finally {
+            run.finishedAt = new Date();
+            this.lastRun = run;
+            this.running = false;
+            if (run.warmed || run.failed) {
+                console.log(`🔥 Cache warming: ${run.warmed} warmed, ${run.failed} empty or failed, ${run.skippedFresh} still fresh.`);
+            }
+        }
+    }
+
+    status() {
+        return {
+            enabled: !!this.timer,
+            running: this.running,
+            queriesPerHour: this.options.queriesPerHour,
+            remainingThisHour: this.remainingBudget(),
+            intervalMinutes: this.options.intervalMs / 60000,
+            countries: this.options.countries,
+            lastRun: this.lastRun
+        };
+    }
+}
+
+function mostCommon(values) {
+    const counts = new Map();
+    for (const value of values || []) {
+        if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+const cacheWarmer = new CacheWarmer();
+module.exports = cacheWarmer;
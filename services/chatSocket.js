@@ -0,0 +1,136 @@
+// Chat socket - a WebSocket at /ws/chat that carries whole chat turns, so a turn costs one
+// round-trip and one auth handshake instead of POST /api/chat followed by
+// POST /api/execute-search-stream.
+//
+// The socket is authenticated once, on upgrade. Browsers can't set headers on a WebSocket, so
+// a legacy JWT may also be passed as ?token=; Clerk sessions come through the cookie as usual.
+//
+// Client → server (JSON): { type: 'message', message, sessionId?, ...search params }
+//                         { type: 'ping' }
+// Server → client (JSON): { event, data, id? } using the search stream's event names
+// (search, search-progress, store-status, deals, local-status, products, facets, done, error)
+// plus ready (on connect), ai-delta (streamed reply text), ai-response, search-start and pong.
+// A turn ends with `done` or `error`.
+// The turn itself is provided by server.js through attach().
+//
+// Resuming after a dropped socket: the chat reply (ai-delta, ai-response) is not buffered, so a
+// turn that drops before `search` is lost and the client sends the message again. From `search`
+// on, the turn's search is a resumable search stream: `search` carries its searchId and every
+// search frame carries `id`, the stream's event id, so the client re-attaches with
+// GET /api/searches/:searchId/events and Last-Event-ID set to the last id it received.
+
+const { WebSocketServer } = require('ws');
+
+const PATH = '/ws/chat';
+const HEARTBEAT_MS = 30 * 1000;
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+
+let wss = null;
+let heartbeat = null;
+
+function rejectUpgrade(socket, status, reason) {
+    socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+}
+
+/**
+ * Attach the chat socket to the HTTP server.
+ * - authenticate(req) resolves to { userId } (userId null for anonymous users).
+ * - handleTurn(payload, { userId, req, signal }, send) runs one turn, emitting send(event, data, id)
+ *   where id is the search stream event id for search frames.
+ *   `signal` aborts when the socket closes, so the turn can stop work nobody will receive.
+ */
+function attach(server, { authenticate, handleTurn }) {
+    wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+
+    server.on('upgrade', async (req, socket, head) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname !== PATH) return rejectUpgrade(socket, 404, 'Not Found');
+
+        let auth;
+        try {
+            auth = await authenticate(req);
+        } catch (error) {
+            console.error('❌ Chat socket auth error:', error.message);
+            return rejectUpgrade(socket, 401, 'Unauthorized');
+        }
+
+        wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req, auth));
+    });
+
+    wss.on('connection', (ws, req, auth) => {
+        const send = (event, data, id = null) => {
+            if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(id ? { event, data, id } : { event, data }));
+        };
+        let turnInProgress = false;
+        const closed = new AbortController();
+
+        ws.isAlive = true;
+        ws.on('close', () => closed.abort());
+        ws.on('pong', () => { ws.isAlive = true; });
+
+        ws.on('message', async (raw) => {
+            let claimedTurn = false;
+            try {
+                let payload;
+                try {
+                    payload = JSON.parse(raw.toString());
+                } catch (error) {
+                    return send('error', { message: 'Messages must be JSON' });
+                }
+
+                // `null`, numbers, strings and arrays all parse but aren't messages
+                if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+                    return send('error', { message: 'Messages must be JSON objects' });
+                }
+
+                if (payload.type === 'ping') return send('pong', {});
+                if (payload.type !== 'message') return send('error', { message: `Unknown message type: ${payload.type}` });
+                if (turnInProgress) return send('error', { message: 'A turn is already in progress on this socket' });
+
+                turnInProgress = true;
+                claimedTurn = true;
+                await handleTurn(payload, { userId: auth.userId, req, signal: closed.signal }, send);
+            } catch (error) {
+                if (error.code === 'ABORTED') {
+                    console.log('ℹ️ Chat socket closed mid-turn; stopped the Gemini stream.');
+                } else {
+                    console.error('❌ Chat socket turn failed:', error);
+                    send('error', { message: 'Chat processing failed' });
+                }
+            } finally {
+                if (claimedTurn) turnInProgress = false;
+            }
+        });
+
+        send('ready', { authenticated: !!auth.userId });
+    });
+
+    // Drop sockets that stopped answering pings (e.g. a phone that lost signal)
+    heartbeat = setInterval(() => {
+        wss.clients.forEach(ws => {
+            if (!ws.isAlive) return ws.terminate();
+            ws.isAlive = false;
+            ws.ping();
+        });
+    }, HEARTBEAT_MS);
+
+    console.log(`🔌 Chat socket listening on ${PATH}`);
+    return wss;
+}
+
+function close() {
+    if (heartbeat) clearInterval(heartbeat);
+    heartbeat = null;
+    if (wss) {
+        wss.clients.forEach(ws => ws.terminate());
+        wss.close();
+        wss = null;
+    }
+}
+
+module.exports = {
+    PATH,
+    attach,
+    close
+};
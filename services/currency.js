@@ -0,0 +1,93 @@
+// Currency helpers - display currency resolution, conversion math over the
+// USD-based ExchangeRate rates, and price formatting.
+
+// Currency a user sees prices in, by their preferences.country
+const COUNTRY_CURRENCIES = {
+    NG: 'NGN',
+    US: 'USD',
+    GB: 'GBP',
+    CA: 'CAD',
+    AU: 'AUD',
+    GH: 'GHS',
+    KE: 'KES',
+    ZA: 'ZAR',
+    IN: 'INR',
+    AE: 'AED',
+    DE: 'EUR',
+    FR: 'EUR',
+    IT: 'EUR',
+    ES: 'EUR',
+    NL: 'EUR',
+    IE: 'EUR',
+    BE: 'EUR',
+    PT: 'EUR'
+};
+
+const DEFAULT_COUNTRY = 'NG';
+
+// Currencies shown without minor units
+const ZERO_DECIMAL_CURRENCIES = new Set(['NGN', 'JPY', 'KRW', 'XOF', 'XAF', 'UGX']);
+
+function normalizeCurrency(code) {
+    if (typeof code !== 'string') return null;
+    const upper = code.trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(upper) ? upper : null;
+}
+
+function currencyForCountry(country) {
+    return COUNTRY_CURRENCIES[String(country || DEFAULT_COUNTRY).toUpperCase()] || 'USD';
+}
+
+/**
+ * Display currency for a request: an explicit currency wins, then the user's
+ * preferences.currency, then the currency of their preferences.country.
+ */
+function resolveDisplayCurrency(user = null, explicitCurrency = null) {
+    return normalizeCurrency(explicitCurrency) ||
+        normalizeCurrency(user?.preferences?.currency) ||
+        currencyForCountry(user?.preferences?.country);
+}
+
+function roundForCurrency(amount, currency) {
+    if (ZERO_DECIMAL_CURRENCIES.has(currency)) return Math.round(amount);
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Convert with USD-based rates ("how much of X for 1 USD").
+ * Returns null when either currency is missing from the rates.
+ */
+function convertWithRates(amount, from, to, rates) {
+    if (from === to) return amount;
+    if (!rates) return null;
+
+    const fromRate = rates[from];
+    const toRate = rates[to];
+    if (!fromRate || !toRate) return null;
+
+    return roundForCurrency((amount / fromRate) * toRate, to);
+}
+
+function formatPrice(amount, currency = 'NGN') {
+    if (typeof amount !== 'number') return amount;
+    try {
+        return new Intl.NumberFormat('en', {
+            style: 'currency',
+            currency,
+            currencyDisplay: 'narrowSymbol',
+            maximumFractionDigits: ZERO_DECIMAL_CURRENCIES.has(currency) ? 0 : 2
+        }).format(amount);
+    } catch (e) {
+        return `${currency} ${amount.toLocaleString()}`;
+    }
+}
+
+module.exports = {
+    COUNTRY_CURRENCIES,
+    normalizeCurrency,
+    currencyForCountry,
+    resolveDisplayCurrency,
+    roundForCurrency,
+    convertWithRates,
+    formatPrice
+};
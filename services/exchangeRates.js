@@ -0,0 +1,212 @@
+// Exchange rates - provider chain, snapshot history and staleness policy.
+//
+// Every successful fetch is kept as an ExchangeRateSnapshot so a converted price can be
+// reproduced as of the moment it was computed; the ExchangeRate document mirrors the latest
+// snapshot. Providers are tried in order (primary API, secondary API). When no rates have
+// ever been stored, or EXCHANGE_RATE_OFFLINE is set, the bundled fallbackRates.json is used.
+//
+// The latest rates are kept in memory: fetchAndStoreExchangeRates refreshes them and the
+// database is only read on a cold start, so conversions cost no queries.
+
+const axios = require('axios');
+const mongoose = require('mongoose');
+const fallbackRates = require('./fallbackRates.json');
+
+const BASE_CURRENCY = 'USD';
+const MAX_AGE_MS = (parseInt(process.env.EXCHANGE_RATE_MAX_AGE_HOURS, 10) || 24) * 60 * 60 * 1000;
+const OFFLINE = process.env.EXCHANGE_RATE_OFFLINE === 'true';
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Lazy-load models (defined in server.js) to avoid load-order issues
+function getModels() {
+    return {
+        ExchangeRate: mongoose.model('ExchangeRate'),
+        ExchangeRateSnapshot: mongoose.model('ExchangeRateSnapshot')
+    };
+}
+
+/**
+ * Providers implement `fetchRates()` resolving to { rates } (units of each currency per 1 USD)
+ * and throw when unavailable. `isConfigured()` lets a provider opt out (e.g. missing key).
+ */
+const primaryProvider = {
+    name: 'exchangerate-api',
+    isConfigured: () => !!process.env.EXCHANGE_RATE_API_KEY,
+    async fetchRates() {
+        const response = await axios.get(
+            `https://v6.exchangerate-api.com/v6/${process.env.EXCHANGE_RATE_API_KEY}/latest/${BASE_CURRENCY}`,
+            { timeout: REQUEST_TIMEOUT_MS }
+        );
+        if (!response.data || response.data.result !== 'success') {
+            throw new Error(`Unexpected response: ${JSON.stringify(response.data).substring(0, 200)}`);
+        }
+        return { rates: response.data.conversion_rates };
+    }
+};
+
+const secondaryProvider = {
+    name: 'open-er-api',
+    isConfigured: () => true,
+    async fetchRates() {
+        const url = process.env.EXCHANGE_RATE_SECONDARY_URL || `https://open.er-api.com/v6/latest/${BASE_CURRENCY}`;
+        const response = await axios.get(url, { timeout: REQUEST_TIMEOUT_MS });
+        if (!response.data || response.data.result !== 'success') {
+            throw new Error(`Unexpected response: ${JSON.stringify(response.data).substring(0, 200)}`);
+        }
+        return { rates: response.data.rates };
+    }
+};
+
+const providers = [primaryProvider, secondaryProvider];
+
+let memoryRates = null; // { rates, asOf, provider } - latest rates held in memory
+let coldStartLoad = null; // in-flight database read on a cold start
+
+function isStale(asOf) {
+    return !asOf || Date.now() - new Date(asOf).getTime() > MAX_AGE_MS;
+}
+
+function toRateSet(rates, asOf, provider) {
+    return {
+        base: BASE_CURRENCY,
+        rates: rates instanceof Map ? Object.fromEntries(rates) : rates,
+        asOf: new Date(asOf),
+        provider,
+        stale: provider === 'static' || isStale(asOf)
+    };
+}
+
+function getFallbackRateSet() {
+    return toRateSet(fallbackRates.rates, fallbackRates.asOf, 'static');
+}
+
+/**
+ * Fetch from the first provider that answers and store the snapshot.
+ * Returns true when fresh rates were stored.
+ */
+async function fetchAndStoreExchangeRates() {
+    if (OFFLINE) {
+        console.log('💱 EXCHANGE_RATE_OFFLINE is set; using bundled fallback rates.');
+        return false;
+    }
+
+    const { ExchangeRate, ExchangeRateSnapshot } = getModels();
+
+    for (const provider of providers.filter(p => p.isConfigured())) {
+        try {
+            console.log(`💱 Fetching fresh exchange rates from ${provider.name}...`);
+            const { rates } = await provider.fetchRates();
+            const fetchedAt = new Date();
+
+            await ExchangeRateSnapshot.create({ baseCurrency: BASE_CURRENCY, rates, provider: provider.name, fetchedAt });
+            await ExchangeRate.findOneAndUpdate(
+                { baseCurrency: BASE_CURRENCY },
+                { baseCurrency: BASE_CURRENCY, rates, provider: provider.name, lastUpdated: fetchedAt },
+                { upsert: true, new: true }
+            );
+
+            memoryRates = { rates, asOf: fetchedAt, provider: provider.name };
+            console.log(`✅ Exchange rates from ${provider.name} stored (${Object.keys(rates).length} currencies).`);
+            return true;
+        } catch (error) {
+            console.error(`❌ Exchange rate provider ${provider.name} failed:`, error.message);
+        }
+    }
+
+    console.error('❌ All exchange rate providers failed; keeping the last stored rates.');
+    return false;
+}
+
+let backgroundRefresh = null; // in-flight fetch started by a cold start with no stored rates
+
+/**
+ * Latest rates with their timestamp, provider and staleness.
+ * Never blocks on the network: without stored rates the bundled fallback is returned
+ * and a refresh is started in the background.
+ */
+async function getLatestRates() {
+    if (OFFLINE) return getFallbackRateSet();
+
+    if (!memoryRates) {
+        if (!coldStartLoad) {
+            coldStartLoad = loadLatestFromDatabase().finally(() => { coldStartLoad = null; });
+        }
+        await coldStartLoad;
+    }
+
+    // Staleness is recomputed on every call; the rates themselves only change on refresh
+    return memoryRates ? toRateSet(memoryRates.rates, memoryRates.asOf, memoryRates.provider) : getFallbackRateSet();
+}
+
+async function loadLatestFromDatabase() {
+    try {
+        const { ExchangeRate } = getModels();
+        const doc = await ExchangeRate.findOne({ baseCurrency: BASE_CURRENCY }).lean();
+        if (doc) {
+            memoryRates = {
+                rates: doc.rates instanceof Map ? Object.fromEntries(doc.rates) : doc.rates,
+                asOf: doc.lastUpdated,
+                provider: doc.provider || primaryProvider.name
+            };
+            console.log('✅ Loaded exchange rates from database into memory.');
+            return;
+        }
+    } catch (error) {
+        // Leave the memory empty so the next call retries the database
+        console.error('❌ Error retrieving exchange rates from database:', error.message);
+        return;
+    }
+
+    console.warn('⚠️ No exchange rates stored yet. Using fallback rates while fetching.');
+    const fallback = getFallbackRateSet();
+    memoryRates = { rates: fallback.rates, asOf: fallback.asOf, provider: fallback.provider };
+    if (!backgroundRefresh) {
+        backgroundRefresh = fetchAndStoreExchangeRates().finally(() => { backgroundRefresh = null; });
+    }
+}
+
+/**
+ * The rates that were current at `date` (latest snapshot fetched at or before it).
+ */
+async function getRatesAsOf(date) {
+    const { ExchangeRateSnapshot } = getModels();
+    const snapshot = await ExchangeRateSnapshot.findOne({ baseCurrency: BASE_CURRENCY, fetchedAt: { $lte: new Date(date) } })
+        .sort({ fetchedAt: -1 })
+        .lean();
+
+    if (!snapshot) return getFallbackRateSet();
+
+    const rateSet = toRateSet(snapshot.rates, snapshot.fetchedAt, snapshot.provider);
+    // Staleness relative to the requested moment, not to now
+    rateSet.stale = new Date(date).getTime() - rateSet.asOf.getTime() > MAX_AGE_MS;
+    return rateSet;
+}
+
+/**
+ * Snapshot history, newest first. With `currency`, only that currency's rate is returned.
+ */
+async function getRateHistory({ since = null, currency = null, limit = 100 } = {}) {
+    const { ExchangeRateSnapshot } = getModels();
+    const filter = { baseCurrency: BASE_CURRENCY };
+    if (since) filter.fetchedAt = { $gte: since };
+
+    const snapshots = await ExchangeRateSnapshot.find(filter).sort({ fetchedAt: -1 }).limit(limit).lean();
+
+    return snapshots.map(s => ({
+        asOf: s.fetchedAt,
+        provider: s.provider,
+        ...(currency ? { rate: s.rates[currency] ?? null } : { rates: s.rates })
+    }));
+}
+
+module.exports = {
+    BASE_CURRENCY,
+    MAX_AGE_MS,
+    providers,
+    isStale,
+    getFallbackRateSet,
+    fetchAndStoreExchangeRates,
+    getLatestRates,
+    getRatesAsOf,
+    getRateHistory
+};
@@ -0,0 +1,140 @@
+// Notification dispatcher - delivers Search Party notifications on the party's
+// channel (in-app, email, WhatsApp/SMS) and records per-channel delivery status
+// on the PartyNotification document.
+
+const mongoose = require('mongoose');
+const { sendDealEmail } = require('../email-utils');
+const whatsappService = require('./whatsapp');
+const { formatPrice } = require('./currency');
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 3;
+
+// Lazy-load models (defined in server.js) to avoid load-order issues
+function getModels() {
+    return {
+        User: mongoose.model('User'),
+        Party: mongoose.model('Party'),
+        PartyNotification: mongoose.model('PartyNotification')
+    };
+}
+
+/**
+ * Build the short text body used for WhatsApp/SMS.
+ */
+function buildMessageText(notification, party) {
+    const topDeals = (notification.deals || []).slice(0, 3).map((d, i) => {
+        const currency = d.currency || party?.currency || 'NGN';
+        const price = formatPrice(d.price, currency);
+        const drop = d.changeType === 'price_drop' && d.previousPrice
+            ? ` (was ${formatPrice(d.previousPrice, currency)})`
+            : '';
+        return `${i + 1}. ${d.title}\n   ${price}${drop} - ${d.source}\n   ${d.link}`;
+    }).join('\n\n');
+
+    return `🎯 ${notification.notificationMessage}\n\n${topDeals}\n\nSearch Party: ${party?.itemName || notification.searchQuery}\n🔗 https://www.sonofanton.live/`;
+}
+
+/**
+ * Send on a single channel. Resolves when sent, throws with a readable message otherwise.
+ */
+async function sendOnChannel(channel, notification, user, party) {
+    switch (channel) {
+        case 'in_app':
+            // In-app notifications are delivered by being stored
+            return;
+        case 'email': {
+            if (!user?.email) throw new Error('User has no email address');
+            const sent = await sendDealEmail(user, party || { itemName: notification.searchQuery }, notification.deals);
+            if (!sent) throw new Error('Email provider did not accept the message');
+            return;
+        }
+        case 'whatsapp':
+        case 'sms': {
+            if (!user?.phoneNumber) throw new Error('User has no phone number');
+            await whatsappService.sendMessage(user.phoneNumber, buildMessageText(notification, party));
+            return;
+        }
+        default:
+            throw new Error(`Unsupported notification channel: ${channel}`);
+    }
+}
+
+function getDelivery(notification, channel) {
+    let delivery = notification.deliveries.find(d => d.channel === channel);
+    if (!delivery) {
+        notification.deliveries.push({ channel, status: 'pending', attempts: 0 });
+        delivery = notification.deliveries[notification.deliveries.length - 1];
+    }
+    return delivery;
+}
+
+/**
+ * Make one delivery attempt for a notification on its channel and save the
+ * delivery record. Failed deliveries are picked up again by retryFailedDeliveries
+ * until MAX_ATTEMPTS is reached. Never throws; the outcome is on the document.
+ */
+async function dispatch(notification, { user = null, party = null } = {}) {
+    const channel = notification.notificationChannel || 'in_app';
+
+    try {
+        if (!user || !party) {
+            const { User, Party } = getModels();
+            user = user || await User.findById(notification.userId).select('-password');
+            party = party || await Party.findById(notification.partyId);
+        }
+    } catch (error) {
+        console.error('Notification dispatch lookup error:', error.message);
+    }
+
+    const delivery = getDelivery(notification, channel);
+
+    if (delivery.status === 'sent' || delivery.attempts >= MAX_ATTEMPTS) {
+        return delivery;
+    }
+
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date();
+
+    try {
+        await sendOnChannel(channel, notification, user, party);
+        delivery.status = 'sent';
+        delivery.deliveredAt = new Date();
+        delivery.lastError = null;
+        console.log(`📨 Notification ${notification._id} delivered via ${channel} (attempt ${delivery.attempts}).`);
+    } catch (error) {
+        delivery.status = 'failed';
+        delivery.lastError = error.message;
+        console.error(`❌ Notification ${notification._id} ${channel} delivery failed (attempt ${delivery.attempts}/${MAX_ATTEMPTS}):`, error.message);
+    }
+
+    try {
+        await notification.save();
+    } catch (error) {
+        console.error('Error saving notification delivery status:', error.message);
+    }
+
+    return delivery;
+}
+
+/**
+ * Re-dispatch notifications whose delivery failed but still have attempts left
+ * (e.g. WhatsApp was disconnected on the previous run).
+ */
+async function retryFailedDeliveries() {
+    const { PartyNotification } = getModels();
+    const pending = await PartyNotification.find({
+        deliveries: { $elemMatch: { status: { $in: ['pending', 'failed'] }, attempts: { $lt: MAX_ATTEMPTS } } }
+    }).limit(50);
+
+    for (const notification of pending) {
+        await dispatch(notification);
+    }
+
+    return pending.length;
+}
+
+module.exports = {
+    dispatch,
+    retryFailedDeliveries,
+    buildMessageText
+};
@@ -0,0 +1,84 @@
+// Search Party filtering stage - applied to scheduled-run deals before any
+// notification is created, so users only hear about deals matching their party.
+
+const storeRegistry = require('./stores');
+
+/**
+ * Normalize a party's store allow-list to registry ids (falls back to the raw
+ * lowercase entry for stores that are not registered). Empty means no restriction.
+ */
+function resolveAllowedStores(stores) {
+    const list = (stores || []).map(s => String(s).toLowerCase().trim()).filter(Boolean);
+    if (list.length === 0) return [];
+
+    return list.map(entry => {
+        const store = storeRegistry.getStore(entry) || storeRegistry.findStoreBySource(entry);
+        return store ? store.id : entry;
+    });
+}
+
+function matchesAllowedStore(deal, allowedStores) {
+    if (allowedStores.length === 0) return true;
+
+    const store = storeRegistry.findStoreBySource(deal.source);
+    if (store) return allowedStores.includes(store.id);
+
+    const sourceLower = (deal.source || '').toLowerCase();
+    return allowedStores.some(entry => sourceLower.includes(entry));
+}
+
+/**
+ * Apply a party's price window and store allow-list to a list of deals.
+ *
+ * Deal prices are in `dealCurrency` (the display currency findBestDeals priced them in); the party's
+ * minPrice/maxPrice are in `party.currency`, so the bounds are converted with
+ * `convert(amount, fromCurrency)` which must return the amount in dealCurrency.
+ *
+ * Returns { deals, stats } where stats records how many deals each filter removed.
+ */
+async function applyPartyFilters(party, deals, { convert, dealCurrency = 'NGN' } = {}) {
+    const input = deals || [];
+    const stats = {
+        total: input.length,
+        removedByStore: 0,
+        removedByPrice: 0,
+        kept: 0
+    };
+
+    const partyCurrency = party.currency || dealCurrency;
+    const toDealCurrency = async (amount) => {
+        if (partyCurrency === dealCurrency || !convert) return amount;
+        return convert(amount, partyCurrency);
+    };
+
+    const minPrice = party.minPrice ? await toDealCurrency(party.minPrice) : null;
+    const maxPrice = (party.maxPrice !== null && party.maxPrice !== undefined) ? await toDealCurrency(party.maxPrice) : null;
+    const allowedStores = resolveAllowedStores(party.stores);
+
+    const kept = [];
+    for (const deal of input) {
+        if (!matchesAllowedStore(deal, allowedStores)) {
+            stats.removedByStore++;
+            continue;
+        }
+
+        // A deal without a usable price can't be shown to be inside the window
+        const price = Number(deal.price);
+        const hasWindow = minPrice !== null || maxPrice !== null;
+        if ((hasWindow && !Number.isFinite(price)) || (minPrice !== null && price < minPrice) || (maxPrice !== null && price > maxPrice)) {
+            stats.removedByPrice++;
+            continue;
+        }
+
+        kept.push(deal);
+    }
+
+    stats.kept = kept.length;
+    return { deals: kept, stats };
+}
+
+module.exports = {
+    applyPartyFilters,
+    resolveAllowedStores,
+    matchesAllowedStore
+};
@@ -0,0 +1,183 @@
+// Personalized ranking - re-scores ranked deals for the signed-in user after findBestDeals.
+// Signals: stated preferences (favoriteStores, dislikedStores, shoppingStyle, budget), the
+// stores they click and add to cart (ClickTracking) and what is in their cart. The ranking
+// policy order is the starting score, so personalization nudges results rather than
+// replacing the ranking. Requests can opt out with `personalize=false`.
+
+const mongoose = require('mongoose');
+const storeRegistry = require('./stores');
+const { resolveAllowedStores, matchesAllowedStore } = require('./partyFilters');
+
+const HISTORY_DAYS = 90;
+const PROFILE_TTL_MS = 10 * 60 * 1000;
+
+// Score adjustments on top of the policy position (1 for the first deal down to 0 for the last)
+const BOOSTS = {
+    favoriteStore: 0.3,
+    dislikedStore: -0.5,
+    clickAffinity: 0.25, // scaled by the store's share of the user's clicks
+    cartAffinity: 0.25, // scaled by the store's share of carted items
+    overBudget: -0.2, // preferences.budget is read in the display currency deals are priced in
+    style: 0.15
+};
+
+const profiles = new Map(); // userId -> { profile, expiresAt }
+
+// Lazy-load models (defined in server.js) to avoid load-order issues
+function getModels() {
+    return {
+        ClickTracking: mongoose.model('ClickTracking'),
+        Cart: mongoose.model('Cart')
+    };
+}
+
+function storeKey(source) {
+    const store = storeRegistry.findStoreBySource(source);
+    return store ? store.id : String(source || 'unknown').toLowerCase();
+}
+
+/**
+ * `personalize=false` (query string or body) turns personalization off for a request.
+ */
+function isEnabled(params = {}) {
+    const value = params.personalize;
+    return !(value === false || value === 'false' || value === '0' || value === 'off');
+}
+
+// Share of each store in a { storeId: count } map
+function toShares(counts) {
+    const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    const shares = {};
+    for (const [key, count] of Object.entries(counts)) {
+        shares[key] = total > 0 ? count / total : 0;
+    }
+    return shares;
+}
+
+/**
+ * Store affinity from the last HISTORY_DAYS of clicks and add-to-carts plus the current cart.
+ * Cached per user for PROFILE_TTL_MS so a search costs at most two queries.
+ */
+async function loadProfile(user) {
+    const userId = String(user._id);
+    const cached = profiles.get(userId);
+    if (cached && cached.expiresAt > Date.now()) return cached.profile;
+
+    const { ClickTracking, Cart } = getModels();
+    const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const clickCounts = {};
+    const cartCounts = {};
+
+    try {
+        const [activity, cart] = await Promise.all([
+            ClickTracking.aggregate([
+                { $match: { userId: user._id, createdAt: { $gte: since }, $or: [{ clicked: true }, { addedToCart: true }] } },
+                {
+                    $group: {
+                        _id: '$source',
+                        clicks: { $sum: { $cond: ['$clicked', 1, 0] } },
+                        carts: { $sum: { $cond: ['$addedToCart', 1, 0] } }
+                    }
+                }
+            ]),
+            Cart.findOne({ userId: user._id }).lean()
+        ]);
+
+        for (const row of activity) {
+            const key = storeKey(row._id);
+            clickCounts[key] = (clickCounts[key] || 0) + row.clicks;
+            cartCounts[key] = (cartCounts[key] || 0) + row.carts;
+        }
+        for (const item of cart?.items || []) {
+            const key = storeKey(item.source);
+            cartCounts[key] = (cartCounts[key] || 0) + (item.quantity || 1);
+        }
+    } catch (error) {
+        // Fall back to stated preferences only
+        console.error('❌ Error loading personalization history:', error.message);
+    }
+
+    const profile = { clickShares: toShares(clickCounts), cartShares: toShares(cartCounts) };
+    profiles.set(userId, { profile, expiresAt: Date.now() + PROFILE_TTL_MS });
+    return profile;
+}
+
+function parseRating(rating) {
+    const number = parseFloat(rating);
+    return isNaN(number) ? null : number;
+}
+
+// shoppingStyle → bonus in [0, 1] for a deal, relative to the other deals
+function styleScore(style, deal, context) {
+    switch (style) {
+        case 'Best Deal':
+            return context.priceRange > 0 ? (context.maxPrice - deal.price) / context.priceRange : 0;
+        case 'Quality First': {
+            const rating = parseRating(deal.rating);
+            return rating !== null ? rating / 5 : 0;
+        }
+        case 'Trusted Brands':
+            return deal.attributes?.brand ? 1 : 0;
+        case 'Fast Shipping':
+            // Local stores deliver faster than international ones
+            return storeRegistry.isLocalSource(deal.source, context.country) ? 1 : 0;
+        default:
+            return 0; // Balanced
+    }
+}
+
+/**
+ * Re-order deals for a user. Returns new deal objects; the input (e.g. a cached result)
+ * is left untouched. Each moved deal's rankReason lists the adjustments applied.
+ * Without a user, deals are returned as they are.
+ */
+async function personalizeDeals(deals, user) {
+    if (!user || !deals || deals.length === 0) return deals;
+
+    const prefs = user.preferences || {};
+    const profile = await loadProfile(user);
+    const favorites = resolveAllowedStores(prefs.favoriteStores);
+    const disliked = resolveAllowedStores(prefs.dislikedStores);
+
+    const prices = deals.map(d => Number(d.price)).filter(p => !isNaN(p));
+    const context = {
+        country: prefs.country || 'NG',
+        maxPrice: Math.max(...prices),
+        priceRange: Math.max(...prices) - Math.min(...prices)
+    };
+
+    const scored = deals.map((original, index) => {
+        const deal = typeof original.toObject === 'function' ? original.toObject() : { ...original };
+        const key = storeKey(deal.source);
+        const adjustments = [];
+
+        if (favorites.length > 0 && matchesAllowedStore(deal, favorites)) adjustments.push(['favorite store', BOOSTS.favoriteStore]);
+        if (disliked.length > 0 && matchesAllowedStore(deal, disliked)) adjustments.push(['disliked store', BOOSTS.dislikedStore]);
+        if (profile.clickShares[key]) adjustments.push(['clicked store', BOOSTS.clickAffinity * profile.clickShares[key]]);
+        if (profile.cartShares[key]) adjustments.push(['carted store', BOOSTS.cartAffinity * profile.cartShares[key]]);
+        if (prefs.budget && deal.price > prefs.budget) adjustments.push(['over budget', BOOSTS.overBudget]);
+
+        const style = styleScore(prefs.shoppingStyle, deal, context);
+        if (style > 0) adjustments.push([`${prefs.shoppingStyle} style`, BOOSTS.style * style]);
+
+        const baseScore = deals.length > 1 ? 1 - index / (deals.length - 1) : 1;
+        const score = adjustments.reduce((sum, [, value]) => sum + value, baseScore);
+        return { deal, score, adjustments };
+    });
+
+    scored.sort((a, b) => b.score - a.score);
+
+    return scored.map(({ deal, adjustments }) => {
+        if (adjustments.length > 0) {
+            const summary = adjustments.map(([label, value]) => `${label} ${value >= 0 ? '+' : ''}${value.toFixed(2)}`).join(', ');
+            deal.rankReason = `${deal.rankReason ? `${deal.rankReason}; ` : ''}personalized: ${summary}`;
+        }
+        return deal;
+    });
+}
+
+module.exports = {
+    isEnabled,
+    loadProfile,
+    personalizeDeals
+};
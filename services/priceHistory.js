@@ -0,0 +1,138 @@
+// Price history - normalized product identity, per-run price snapshots and
+// price-drop detection for Search Parties.
+
+const mongoose = require('mongoose');
+const storeRegistry = require('./stores');
+
+// Lazy-load the model (defined in server.js) to avoid load-order issues
+function getPriceSnapshotModel() {
+    return mongoose.model('PriceSnapshot');
+}
+
+function normalizeTitle(title) {
+    return String(title || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Canonical form of a product link: lowercase host without "www.", path without
+ * trailing slash, no query string or hash (drops affiliate tags and tracking params).
+ * Returns null for placeholders and store search pages, which do not identify a product.
+ */
+function canonicalizeLink(link) {
+    if (!link || link === '#') return null;
+    try {
+        const url = new URL(link);
+        const host = url.hostname.toLowerCase().replace(/^www\./, '');
+        const path = url.pathname.replace(/\/+$/, '');
+        if (!path || /\/(s|search|sch|catalog|catalogsearch)(\/|$)/i.test(path)) return null;
+        return `${host}${path}`;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Stable identity for a listing: store + canonical link, or store + normalized
+ * title when the link does not identify the product.
+ */
+function productKey(deal) {
+    const store = storeRegistry.findStoreBySource(deal.source);
+    const storeId = store ? store.id : normalizeTitle(deal.source || 'unknown').replace(/\s+/g, '-');
+    const link = canonicalizeLink(deal.link);
+    return link ? `${storeId}:${link}` : `${storeId}:title:${normalizeTitle(deal.title)}`;
+}
+
+/**
+ * Decide whether a listing is worth notifying about compared to its previous price.
+ * Returns 'new', 'price_drop' or null.
+ */
+function classifyChange(previousPrice, price, { dropPercent, dropAmount } = {}) {
+    if (previousPrice === null || previousPrice === undefined) return 'new';
+
+    const drop = previousPrice - price;
+    if (drop <= 0) return null;
+
+    const percent = previousPrice > 0 ? (drop / previousPrice) * 100 : 0;
+    if (dropPercent && percent >= dropPercent) return 'price_drop';
+    if (dropAmount && drop >= dropAmount) return 'price_drop';
+
+    return null;
+}
+
+/**
+ * Record a snapshot for every deal of a party run and return the deals worth
+ * notifying about (new listings and drops beyond the party's thresholds).
+ * Thresholds: dropPercent (percentage) and dropAmount (in the deals' currency).
+ */
+async function recordPartyRun(party, deals, { currency = 'NGN', dropPercent, dropAmount } = {}) {
+    const PriceSnapshot = getPriceSnapshotModel();
+    const capturedAt = new Date();
+    const changes = [];
+    const snapshots = [];
+
+    for (const deal of deals || []) {
+        const key = deal.productKey || productKey(deal);
+        // Only compare against prices recorded in the same currency
+        const previous = await PriceSnapshot.findOne({ productKey: key, partyId: party._id, currency })
+            .sort({ capturedAt: -1 })
+            .lean();
+
+        const previousPrice = previous ? previous.price : null;
+        const changeType = classifyChange(previousPrice, deal.price, { dropPercent, dropAmount });
+
+        if (changeType) {
+            changes.push({ ...deal, productKey: key, changeType, previousPrice });
+        }
+
+        snapshots.push({
+            productKey: key,
+            partyId: party._id,
+            source: deal.source,
+            title: deal.title,
+            link: deal.link,
+            price: deal.price,
+            currency,
+            capturedAt
+        });
+    }
+
+    if (snapshots.length > 0) {
+        await PriceSnapshot.insertMany(snapshots, { ordered: false });
+    }
+
+    return changes;
+}
+
+/**
+ * Price series for a product, oldest first. Optionally scoped to one party or a list of parties.
+ */
+async function getPriceHistory(key, { since = null, partyId = null, limit = 500 } = {}) {
+    const PriceSnapshot = getPriceSnapshotModel();
+    const filter = { productKey: key };
+    if (since) filter.capturedAt = { $gte: since };
+    if (partyId) filter.partyId = Array.isArray(partyId) ? { $in: partyId } : partyId;
+
+    const points = await PriceSnapshot.find(filter)
+        .sort({ capturedAt: -1 })
+        .limit(limit)
+        .lean();
+
+    return points.reverse().map(p => ({
+        price: p.price,
+        currency: p.currency,
+        source: p.source,
+        capturedAt: p.capturedAt
+    }));
+}
+
+module.exports = {
+    normalizeTitle,
+    canonicalizeLink,
+    productKey,
+    classifyChange,
+    recordPartyRun,
+    getPriceHistory
+};
@@ -0,0 +1,231 @@
+// Product matching - extracts a product identity (brand, model, storage, color) from
+// listing titles and clusters equivalent listings across stores into one product with
+// a per-store offers array, so the same phone on Jumia, Konga and Slot compares as one item.
+
+const { normalizeTitle } = require('./priceHistory');
+
+const BRANDS = [
+    'apple', 'samsung', 'tecno', 'infinix', 'itel', 'xiaomi', 'redmi', 'oppo', 'vivo', 'realme',
+    'nokia', 'huawei', 'honor', 'google', 'oneplus', 'motorola', 'sony', 'lg', 'hp', 'dell', 'lenovo',
+    'asus', 'acer', 'microsoft', 'jbl', 'beats', 'bose', 'anker', 'oraimo', 'hisense', 'nintendo', 'canon', 'nikon'
+];
+
+// Product lines that imply their brand even when it is missing from the title. Several are
+// everyday words ("hot", "spark", "switch"), so without the brand in the title a line only
+// counts when it or the next token has a number ("hot 40", "ps5"), not in "hot water bottle".
+const MODEL_LINES = {
+    iphone: 'apple',
+    ipad: 'apple',
+    macbook: 'apple',
+    airpods: 'apple',
+    galaxy: 'samsung',
+    pixel: 'google',
+    redmi: 'xiaomi',
+    spark: 'tecno',
+    camon: 'tecno',
+    pova: 'tecno',
+    phantom: 'tecno',
+    hot: 'infinix',
+    note: null, // ambiguous across brands; only counts after a brand
+    playstation: 'sony',
+    ps5: 'sony',
+    ps4: 'sony',
+    xbox: 'microsoft',
+    thinkpad: 'lenovo',
+    ideapad: 'lenovo',
+    pavilion: 'hp',
+    elitebook: 'hp',
+    inspiron: 'dell',
+    latitude: 'dell',
+    switch: 'nintendo'
+};
+
+const COLORS = [
+    'black', 'white', 'silver', 'gold', 'rose gold', 'blue', 'red', 'green', 'purple', 'pink',
+    'gray', 'grey', 'space gray', 'space grey', 'graphite', 'midnight', 'starlight', 'yellow',
+    'orange', 'bronze', 'cream', 'violet', 'natural titanium', 'black titanium', 'white titanium',
+    'blue titanium', 'desert titanium', 'titanium gray', 'titanium black', 'titanium violet'
+];
+
+// Words that end the model name
+const STOP_WORDS = new Set([
+    '5g', '4g', 'lte', 'dual', 'sim', 'single', 'esim', 'unlocked', 'smartphone', 'phone', 'mobile',
+    'with', 'and', 'for', 'new', 'used', 'refurbished', 'renewed', 'ram', 'rom', 'storage', 'inch',
+    'wifi', 'wi', 'fi', 'cellular', 'bundle', 'official', 'original', 'international', 'version',
+    'core', 'intel', 'amd', 'ryzen', 'ssd', 'hdd', 'laptop', 'notebook',
+    'smart', 'tv', 'hd', 'uhd', 'fhd', '4k', '8k', 'led', 'oled', 'qled'
+]);
+
+const MAX_MODEL_TOKENS = 4;
+
+function extractStorage(text) {
+    // Largest GB/TB figure is storage; smaller ones are usually RAM ("8GB RAM 256GB")
+    const matches = [...text.matchAll(/(\d+(?:\.\d+)?)\s*(gb|tb)\b/gi)];
+    if (matches.length === 0) return null;
+
+    const best = matches
+        .map(m => ({ label: `${m[1]}${m[2].toLowerCase()}`, gb: parseFloat(m[1]) * (m[2].toLowerCase() === 'tb' ? 1024 : 1) }))
+        .sort((a, b) => b.gb - a.gb)[0];
+    return best.label;
+}
+
+function extractColor(text) {
+    // Longest color phrase wins ("rose gold" over "gold")
+    const found = COLORS
+        .filter(color => new RegExp(`\\b${color}\\b`).test(text))
+        .sort((a, b) => b.length - a.length)[0];
+    if (!found) return null;
+    return found.replace('grey', 'gray');
+}
+
+function extractBrandAndModel(tokens) {
+    let brand = null;
+    let start = -1;
+
+    const brandIndex = tokens.findIndex(t => BRANDS.includes(t));
+    if (brandIndex !== -1) {
+        brand = tokens[brandIndex] === 'redmi' ? 'xiaomi' : tokens[brandIndex];
+        // "Xiaomi Redmi Note 13" / "Redmi Note 13": keep the product line in the model
+        start = tokens[brandIndex] === 'redmi' ? brandIndex : brandIndex + 1;
+    }
+
+    const lineIndex = tokens.findIndex((t, i) => MODEL_LINES[t] && (brandIndex === -1
+        ? /\d/.test(t) || /\d/.test(tokens[i + 1] || '')
+        : i >= start));
+    if (lineIndex !== -1) {
+        brand = brand || MODEL_LINES[tokens[lineIndex]];
+        if (start === -1 || lineIndex <= start + 1) start = lineIndex;
+    }
+
+    if (!brand || start === -1) return { brand, model: null };
+
+    const modelTokens = [];
+    for (const token of tokens.slice(start)) {
+        if (STOP_WORDS.has(token) || /^\d+(\.\d+)?(gb|tb|mah|mp|hz|w)$/.test(token)) break;
+        if (COLORS.includes(token)) break;
+        modelTokens.push(token);
+        if (modelTokens.length === MAX_MODEL_TOKENS) break;
+    }
+
+    // A model needs a number ("15", "s24", "a05") or a named line ("airpods pro")
+    const model = modelTokens.join(' ');
+    const identifiesModel = /\d/.test(model) || (modelTokens.length >= 1 && MODEL_LINES[modelTokens[0]] !== undefined);
+
+    return { brand, model: identifiesModel ? model : null };
+}
+
+/**
+ * Extract { brand, model, storage, color } from a listing title. Any field may be null.
+ */
+function extractIdentity(title) {
+    // "8/256GB" → "8gb 256gb"; screen sizes ("55 inch", '14"') are not part of the model
+    const cleaned = String(title || '')
+        .replace(/\b(\d+)\s*\/\s*(\d+)\s*(gb|tb)\b/gi, '$1$3 $2$3')
+        .replace(/\b\d{1,3}(\.\d)?\s*("|''|-?\s*inch(es)?\b)/gi, ' ');
+    const text = normalizeTitle(cleaned)
+        .replace(/\b(\d+)\s+(gb|tb)\b/g, '$1$2')
+        .replace(/\bgeneration\b/g, 'gen');
+    const tokens = text.split(' ').filter(Boolean);
+    const { brand, model } = extractBrandAndModel(tokens);
+
+    return {
+        brand,
+        model,
+        storage: extractStorage(text),
+        color: extractColor(text)
+    };
+}
+
+/**
+ * Cluster key for a listing: brand + model + storage, plus the condition for used and
+ * refurbished listings. Color is kept per offer since stores list the same product under
+ * different color variants. Returns null when the title does not identify a model.
+ */
+function matchKey(identity) {
+    if (!identity.brand || !identity.model) return null;
+    const parts = [identity.brand, identity.model, identity.storage || 'any'];
+    if (identity.condition === 'used' || identity.condition === 'refurbished') parts.push(identity.condition);
+    return parts.join('|');
+}
+
+// Identity from the deal's extracted attributes when findBestDeals set them, else from the title
+function dealIdentity(deal) {
+    const attrs = deal.attributes;
+    if (attrs && attrs.brand) {
+        return { brand: attrs.brand, model: attrs.model, storage: attrs.capacity, color: attrs.color, condition: attrs.condition };
+    }
+    return extractIdentity(deal.title);
+}
+
+function toOffer(deal, identity) {
+    return {
+        source: deal.source,
+        title: deal.title,
+        price: deal.price,
+        currency: deal.currency,
+        link: deal.link,
+        image: deal.image,
+        rating: deal.rating,
+        reviews: deal.reviews,
+        color: identity.color,
+        condition: identity.condition || null,
+        productKey: deal.productKey,
+        trackingId: deal.trackingId,
+        trackingUrl: deal.trackingUrl
+    };
+}
+
+/**
+ * Group deals into products. Each product keeps the cheapest offer per store, sorted by price;
+ * deals whose title does not identify a model become single-offer products.
+ * Products come back in the order their first deal appeared.
+ */
+function clusterDeals(deals) {
+    const clusters = new Map();
+
+    for (const deal of deals || []) {
+        const identity = dealIdentity(deal);
+        const key = matchKey(identity) || `listing|${deal.productKey || `${deal.source}|${normalizeTitle(deal.title)}`}`;
+
+        if (!clusters.has(key)) {
+            clusters.set(key, {
+                productId: key,
+                title: deal.title,
+                brand: identity.brand,
+                model: identity.model,
+                storage: identity.storage,
+                image: deal.image,
+                offersByStore: new Map()
+            });
+        }
+
+        const cluster = clusters.get(key);
+        const storeKey = String(deal.source || 'unknown').toLowerCase();
+        const existing = cluster.offersByStore.get(storeKey);
+        if (!existing || deal.price < existing.price) {
+            cluster.offersByStore.set(storeKey, toOffer(deal, identity));
+        }
+        if (!cluster.image && deal.image) cluster.image = deal.image;
+    }
+
+    return [...clusters.values()].map(({ offersByStore, ...product }) => {
+        const offers = [...offersByStore.values()].sort((a, b) => a.price - b.price);
+        const colors = [...new Set(offers.map(o => o.color).filter(Boolean))];
+
+        return {
+            ...product,
+            colors,
+            currency: offers[0].currency,
+            lowestPrice: offers[0].price,
+            highestPrice: offers[offers.length - 1].price,
+            storeCount: offers.length,
+            offers
+        };
+    });
+}
+
+module.exports = {
+    extractIdentity,
+    matchKey,
+    clusterDeals
+};
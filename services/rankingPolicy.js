@@ -0,0 +1,284 @@
+// Ranking policies - declarative result ordering per country and category, stored in
+// MongoDB (RankingPolicy) and editable by admins. A policy declares:
+//
+// - sources: store placements. `lead` stores are stacked at the top in `order`; `mix` stores
+//            are interleaved in `order`, `weight` results per store each round. Stores the
+//            policy does not list are mixed after the listed ones.
+// - blend: how many local vs international results alternate after the lead stores (9:1)
+// - relevance: minScore drops results, highScore results come first, and scores within
+//              tieBand count as equal so the cheaper result wins
+// - priceWeight: 0-1, how much a low price lifts a result's relevance score
+//
+// Policies are cached in memory and reloaded on startup and after every admin change. Until
+// the first load the defaults built from each store's `ranking` in services/stores.js apply.
+// Every ranked deal gets a `rankReason` explaining its position.
+
+const mongoose = require('mongoose');
+const storeRegistry = require('./stores');
+
+const DEFAULT_RELEVANCE = { minScore: 0.4, highScore: 0.8, tieBand: 0.2 };
+const DEFAULT_BLEND = { local: 9, international: 1 };
+
+let policies = null; // null until loaded from the database
+
+// Lazy-load the model (defined in server.js) to avoid load-order issues
+function getRankingPolicyModel() {
+    return mongoose.model('RankingPolicy');
+}
+
+/**
+ * Policies derived from the store registry's `ranking` declarations, which describe the
+ * Nigerian storefront: one per category the registry mentions ('default' becomes the
+ * country-wide policy), plus a global fallback with no lead stores.
+ */
+function defaultPolicies() {
+    const stores = storeRegistry.listStores().filter(store => store.ranking);
+    const categories = [...new Set(stores.flatMap(store => Object.keys(store.ranking)))];
+
+    const countryPolicies = categories.map(category => ({
+        policyKey: category === 'default' ? 'NG' : `NG:${category}`,
+        name: category === 'default' ? 'Nigeria' : `Nigeria - ${category}`,
+        country: 'NG',
+        category: category === 'default' ? null : category,
+        sources: stores
+            .map(store => ({ store, ranking: storeRegistry.getRanking(store, category) }))
+            .filter(({ ranking }) => ranking)
+            .map(({ store, ranking }) => ({
+                storeId: store.id,
+                placement: ranking.lead !== undefined ? 'lead' : 'mix',
+                order: ranking.lead !== undefined ? ranking.lead : ranking.mix,
+                weight: 1
+            })),
+        blend: { ...DEFAULT_BLEND },
+        relevance: { ...DEFAULT_RELEVANCE },
+        priceWeight: 0,
+        enabled: true
+    }));
+
+    return [
+        ...countryPolicies,
+        {
+            policyKey: 'global',
+            name: 'Global fallback',
+            country: null,
+            category: null,
+            sources: [],
+            blend: { local: 1, international: 1 },
+            relevance: { ...DEFAULT_RELEVANCE },
+            priceWeight: 0,
+            enabled: true
+        }
+    ];
+}
+
+/**
+ * Insert the registry defaults that have no policy yet.
+ */
+async function seedDefaultPolicies() {
+    const RankingPolicy = getRankingPolicyModel();
+    for (const policy of defaultPolicies()) {
+        await RankingPolicy.updateOne(
+            { policyKey: policy.policyKey },
+            { $setOnInsert: policy },
+            { upsert: true }
+        );
+    }
+}
+
+async function loadPolicies() {
+    try {
+        await seedDefaultPolicies();
+        policies = await getRankingPolicyModel().find().lean();
+        console.log(`📐 Loaded ${policies.length} ranking policies (${policies.filter(p => p.enabled).length} enabled).`);
+    } catch (error) {
+        console.error('❌ Error loading ranking policies:', error.message);
+    }
+    return policies;
+}
+
+function getPolicies() {
+    return policies && policies.length > 0 ? policies : defaultPolicies();
+}
+
+// Fill missing settings so partially edited policies still rank
+function withDefaults(policy) {
+    return {
+        ...policy,
+        sources: policy.sources || [],
+        blend: { ...DEFAULT_BLEND, ...(policy.blend || {}) },
+        relevance: { ...DEFAULT_RELEVANCE, ...(policy.relevance || {}) },
+        priceWeight: policy.priceWeight || 0
+    };
+}
+
+/**
+ * The enabled policy for a country and category. The most specific match wins:
+ * country + category, country, category, then the global policy.
+ */
+function getPolicy(country = 'NG', category = null) {
+    const categoryKey = category && category !== 'default' ? category : null;
+    const candidates = getPolicies().filter(p =>
+        p.enabled &&
+        (!p.country || p.country === country) &&
+        (!p.category || p.category === categoryKey)
+    );
+
+    candidates.sort((a, b) =>
+        ((b.country ? 2 : 0) + (b.category ? 1 : 0)) - ((a.country ? 2 : 0) + (a.category ? 1 : 0))
+    );
+
+    return withDefaults(candidates[0] || defaultPolicies().find(p => p.policyKey === 'global'));
+}
+
+function numericPrice(deal) {
+    if (typeof deal.price === 'number') return deal.price;
+    return parseFloat(String(deal.price || '').replace(/[^0-9.]/g, '')) || 0;
+}
+
+// Results that have not been scored yet (raw scrapper items) count as fully relevant
+function relevanceOf(deal) {
+    return typeof deal.relevance === 'number' ? deal.relevance : 1;
+}
+
+function isLocal(deal, country) {
+    return storeRegistry.isLocalSource(deal.source, country) || (country === 'NG' && !!deal.isNigerian);
+}
+
+/**
+ * Comparator for results within a store: high relevance first, then relevance (lifted by
+ * a low price when priceWeight > 0), then price when scores are within the tie band.
+ */
+function buildComparator(policy, deals) {
+    const { highScore, tieBand } = policy.relevance;
+    const prices = deals.map(numericPrice);
+    const minPrice = Math.min(...prices);
+    const priceRange = Math.max(...prices) - minPrice;
+
+    const score = (deal) => {
+        const pricePenalty = priceRange > 0 ? (numericPrice(deal) - minPrice) / priceRange : 0;
+        return relevanceOf(deal) - policy.priceWeight * pricePenalty;
+    };
+
+    return (a, b) => {
+        const aHigh = relevanceOf(a) >= highScore;
+        const bHigh = relevanceOf(b) >= highScore;
+        if (aHigh !== bHigh) return aHigh ? -1 : 1;
+
+        const scoreDiff = score(b) - score(a);
+        if (Math.abs(scoreDiff) > tieBand) return scoreDiff;
+
+        return numericPrice(a) - numericPrice(b);
+    };
+}
+
+// Weighted round-robin: each round takes `weight` results from every bucket in order
+function interleave(buckets) {
+    const output = [];
+    const cursors = buckets.map(() => 0);
+    let remaining = buckets.reduce((sum, b) => sum + b.items.length, 0);
+
+    while (remaining > 0) {
+        buckets.forEach((bucket, i) => {
+            const take = Math.max(1, Math.round(bucket.weight));
+            for (let n = 0; n < take && cursors[i] < bucket.items.length; n++) {
+                output.push(bucket.items[cursors[i]++]);
+                remaining--;
+            }
+        });
+    }
+    return output;
+}
+
+// Alternate `blend.local` local results with `blend.international` international ones
+function blendGroups(local, international, blend) {
+    if (!blend.international) return [...local, ...international];
+    if (!blend.local) return [...international, ...local];
+
+    const output = [];
+    let l = 0;
+    let i = 0;
+    while (l < local.length || i < international.length) {
+        for (let n = 0; n < blend.local && l < local.length; n++) output.push(local[l++]);
+        for (let n = 0; n < blend.international && i < international.length; n++) output.push(international[i++]);
+    }
+    return output;
+}
+
+function ordinal(n) {
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix}`;
+}
+
+/**
+ * Order deals by the policy for a country and category. Returns a new array; each deal
+ * gets a `rankReason` naming the policy, its store placement, relevance and position.
+ * Filtering by relevance.minScore is left to the caller (see getPolicy).
+ */
+function rankDeals(deals, { country = 'NG', category = null, policy = null } = {}) {
+    if (!deals || deals.length === 0) return [];
+
+    const activePolicy = policy ? withDefaults(policy) : getPolicy(country, category);
+    const placements = new Map(activePolicy.sources.map(s => [s.storeId, s]));
+    const sorted = [...deals].sort(buildComparator(activePolicy, deals));
+
+    // Bucket by store, keeping the sorted order inside each bucket
+    const buckets = new Map();
+    for (const deal of sorted) {
+        const store = storeRegistry.findStoreBySource(deal.source);
+        const key = store ? store.id : `source:${String(deal.source || 'unknown').toLowerCase()}`;
+        if (!buckets.has(key)) {
+            const placement = store ? placements.get(store.id) : null;
+            buckets.set(key, {
+                name: store ? store.name : (deal.source || 'Unknown'),
+                placement: placement ? placement.placement : 'unranked',
+                order: placement ? placement.order : Infinity,
+                weight: placement ? placement.weight || 1 : 1,
+                local: isLocal(deal, country),
+                items: []
+            });
+        }
+        buckets.get(key).items.push(deal);
+    }
+
+    const all = [...buckets.values()].sort((a, b) => a.order - b.order);
+    const lead = all.filter(b => b.placement === 'lead');
+    const mixed = all.filter(b => b.placement !== 'lead');
+
+    const ordered = [
+        ...lead.flatMap(b => b.items),
+        ...blendGroups(
+            interleave(mixed.filter(b => b.local)),
+            interleave(mixed.filter(b => !b.local)),
+            activePolicy.blend
+        )
+    ];
+
+    // Explain each position
+    const bucketOf = new Map();
+    for (const bucket of all) {
+        bucket.items.forEach((deal, index) => bucketOf.set(deal, { bucket, index }));
+    }
+    const blendLabel = `${activePolicy.blend.local}:${activePolicy.blend.international} local:international blend`;
+
+    return ordered.map((deal, position) => {
+        const { bucket, index } = bucketOf.get(deal);
+        const placementText = bucket.placement === 'lead'
+            ? `lead store #${lead.indexOf(bucket) + 1}`
+            : `${bucket.placement === 'mix' ? 'mixed' : 'unranked'} ${bucket.local ? 'local' : 'international'} store, ${blendLabel}`;
+        const relevance = relevanceOf(deal);
+        const relevanceText = `relevance ${relevance.toFixed(2)}${relevance >= activePolicy.relevance.highScore ? ' (high)' : ''}`;
+        const priceText = activePolicy.priceWeight > 0 ? `, price weight ${activePolicy.priceWeight}` : '';
+
+        deal.rankReason = `#${position + 1} by policy ${activePolicy.policyKey}: ${bucket.name} ${placementText}; ` +
+            `${relevanceText}${priceText}; ${ordinal(index + 1)} of ${bucket.items.length} from ${bucket.name}`;
+        return deal;
+    });
+}
+
+module.exports = {
+    loadPolicies,
+    getPolicies,
+    defaultPolicies,
+    getPolicy,
+    rankDeals
+};
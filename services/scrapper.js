@@ -0,0 +1,215 @@
+// Scrapper client - the only caller of the external scrapper (SCRAPPER_URL).
+//
+// Each search gets a request timeout and bounded retries with backoff for timeouts, network
+// errors, 429s and 5xx responses. A circuit breaker opens after consecutive failed searches
+// and fails fast until a cooldown passes, then lets one trial search through (half-open).
+// search() never throws: an outage comes back as status 'upstream_unavailable' so callers
+// can tell it apart from a search that genuinely found nothing.
+//
+// Searches can target a single store (`store` is passed to the scrapper as ?store=<id>) for
+// per-store fan-out; each store has its own breaker so one dead store doesn't block the rest.
+
+const axios = require('axios');
+
+const DEFAULTS = {
+    url: process.env.SCRAPPER_URL || 'http://46.175.147.124:3001/api/search',
+    timeoutMs: parseInt(process.env.SCRAPPER_TIMEOUT_MS, 10) || 20000,
+    retries: process.env.SCRAPPER_RETRIES !== undefined ? parseInt(process.env.SCRAPPER_RETRIES, 10) : 2,
+    retryDelayMs: parseInt(process.env.SCRAPPER_RETRY_DELAY_MS, 10) || 500,
+    failureThreshold: parseInt(process.env.SCRAPPER_BREAKER_THRESHOLD, 10) || 5,
+    cooldownMs: (parseInt(process.env.SCRAPPER_BREAKER_COOLDOWN_SECONDS, 10) || 30) * 1000,
+    metricsWindow: 100 // searches kept for latency and error-rate reporting
+};
+
+const STATUS_OK = 'ok';
+const STATUS_UNAVAILABLE = 'upstream_unavailable';
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Timeouts, network errors, rate limiting and server errors are worth another attempt
+function isRetryable(error) {
+    if (!error.response) return true;
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+}
+
+function describeError(error) {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'timeout';
+    if (error.response) return `HTTP ${error.response.status}`;
+    return error.code || error.message;
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+class CircuitBreaker {
+    constructor(name, options) {
+        this.name = name;
+        this.options = options;
+        this.state = 'closed'; // closed | open | half_open
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Whether a search may go out now. Moves open → half_open once the cooldown has passed;
+     * half_open allows a single trial search at a time.
+     */
+    allowRequest() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.options.cooldownMs) {
+            this.state = 'half_open';
+            console.log(`🔌 Scrapper circuit (${this.name}) half-open, sending a trial search.`);
+        }
+        if (this.state === 'open') return false;
+        if (this.state === 'half_open') {
+            if (this.trialInFlight) return false;
+            this.trialInFlight = true;
+        }
+        return true;
+    }
+
+    recordSuccess() {
+        if (this.state !== 'closed') console.log(`✅ Scrapper circuit (${this.name}) closed.`);
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.trialInFlight = false;
+    }
+
+    recordFailure(error) {
+        this.consecutiveFailures++;
+        this.trialInFlight = false;
+
+        if (this.state === 'half_open' || this.consecutiveFailures >= this.options.failureThreshold) {
+            if (this.state !== 'open') {
+                console.error(`🔌 Scrapper circuit (${this.name}) open after ${this.consecutiveFailures} failed searches (${error}); retrying in ${this.options.cooldownMs / 1000}s.`);
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    status() {
+        return {
+            circuit: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            retryAt: this.state === 'open' ? new Date(this.openedAt + this.options.cooldownMs) : null
+        };
+    }
+}
+
+class ScrapperClient {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.breakers = new Map(); // 'all' for whole searches, store id for single-store searches
+        this.calls = []; // { at, latencyMs, ok, attempts, error, store }
+        this.lastSuccessAt = null;
+        this.lastFailure = null; // { at, error, store }
+    }
+
+    breakerFor(store) {
+        const key = store || 'all';
+        if (!this.breakers.has(key)) this.breakers.set(key, new CircuitBreaker(key, this.options));
+        return this.breakers.get(key);
+    }
+
+    recordCall(call) {
+        this.calls.push({ at: Date.now(), ...call });
+        if (this.calls.length > this.options.metricsWindow) this.calls.shift();
+    }
+
+    /**
+     * Search the scrapper, optionally a single store with its own timeout and retry count.
+     * Resolves to { status: 'ok', results, meta, latencyMs, attempts } or
+     * { status: 'upstream_unavailable', results: [], meta: {}, error, latencyMs, attempts },
+     * where error is 'timeout', 'circuit_open', 'HTTP <status>' or a network error code.
+     */
+    async search(q, category = 'other', { store = null, timeoutMs = this.options.timeoutMs, retries = this.options.retries } = {}) {
+        const breaker = this.breakerFor(store);
+        if (!breaker.allowRequest()) {
+            return { status: STATUS_UNAVAILABLE, results: [], meta: {}, error: 'circuit_open', latencyMs: 0, attempts: 0 };
+        }
+
+        const started = Date.now();
+        const label = store ? ` (${store})` : '';
+        let attempts = 0;
+        let lastError = null;
+
+        while (attempts <= retries) {
+            attempts++;
+            try {
+                const response = await axios.get(this.options.url, {
+                    params: { q, category, ...(store ? { store } : {}) },
+                    timeout: timeoutMs
+                });
+                const data = response.data || {};
+                const latencyMs = Date.now() - started;
+
+                breaker.recordSuccess();
+                this.lastSuccessAt = new Date();
+                this.recordCall({ latencyMs, ok: true, attempts, store });
+                return { status: STATUS_OK, results: data.results || [], meta: data.counts || {}, latencyMs, attempts };
+            } catch (error) {
+                lastError = describeError(error);
+                console.error(`❌ Scrapper attempt ${attempts}${label} failed: ${lastError}`);
+                if (!isRetryable(error) || attempts > retries) break;
+                await sleep(this.options.retryDelayMs * Math.pow(2, attempts - 1));
+            }
+        }
+
+        const latencyMs = Date.now() - started;
+        breaker.recordFailure(lastError);
+        this.lastFailure = { at: new Date(), error: lastError, store };
+        this.recordCall({ latencyMs, ok: false, attempts, error: lastError, store });
+        return { status: STATUS_UNAVAILABLE, results: [], meta: {}, error: lastError, latencyMs, attempts };
+    }
+
+    /**
+     * Circuit states plus latency and error rate over the last `metricsWindow` searches.
+     * Status is 'down' while whole searches are failing fast, 'degraded' while any circuit
+     * is not closed or recent searches failed.
+     */
+    health() {
+        const latencies = this.calls.map(c => c.latencyMs).sort((a, b) => a - b);
+        const failures = this.calls.filter(c => !c.ok).length;
+        const main = this.breakerFor(null);
+        const storeBreakers = [...this.breakers.values()].filter(b => b.name !== 'all');
+
+        let status = 'up';
+        if (main.state === 'open') status = 'down';
+        else if (main.state === 'half_open') status = 'recovering';
+        else if (main.consecutiveFailures > 0 || storeBreakers.some(b => b.state !== 'closed')) status = 'degraded';
+
+        return {
+            status,
+            ...main.status(),
+            stores: Object.fromEntries(storeBreakers.map(b => [b.name, b.status()])),
+            window: {
+                searches: this.calls.length,
+                failures,
+                errorRate: this.calls.length > 0 ? Number((failures / this.calls.length).toFixed(3)) : null,
+                retriedSearches: this.calls.filter(c => c.attempts > 1).length,
+                latencyMs: {
+                    avg: latencies.length > 0 ? Math.round(latencies.reduce((sum, l) => sum + l, 0) / latencies.length) : null,
+                    p50: percentile(latencies, 0.5),
+                    p95: percentile(latencies, 0.95)
+                }
+            },
+            lastSuccessAt: this.lastSuccessAt,
+            lastFailure: this.lastFailure,
+            config: {
+                timeoutMs: this.options.timeoutMs,
+                retries: this.options.retries,
+                failureThreshold: this.options.failureThreshold,
+                cooldownMs: this.options.cooldownMs
+            }
+        };
+    }
+}
+
+const scrapperClient = new ScrapperClient();
+module.exports = scrapperClient;
@@ -0,0 +1,216 @@
+// Search result cache - SearchResult documents keyed on the normalized query, country,
+// display currency and category, so users in different countries or currencies never share
+// converted prices and "iPhone 15" / "iphone  15 " hit the same entry.
+//
+// Stale-while-revalidate: an entry older than the TTL is still served (flagged `stale`)
+// while a background refresh re-runs the search. Entries past the max stale age are misses.
+// The refresh itself is provided by server.js through setRefresher().
+//
+// Cached deals carry no tracking ids: impressions belong to whoever is shown the deals, so
+// every cache hit gets fresh ones when it is served.
+
+const mongoose = require('mongoose');
+
+const TTL_MS = (parseInt(process.env.SEARCH_CACHE_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+const MAX_STALE_MS = (parseInt(process.env.SEARCH_CACHE_MAX_STALE_HOURS, 10) || 72) * 60 * 60 * 1000;
+const ANY_CATEGORY = 'any';
+
+let refresher = null; // async ({ query, country, currency, category }) => { deals, totalValid }
+const inFlight = new Map(); // cache key -> refresh promise
+
+// Lazy-load the model (defined in server.js) to avoid load-order issues
+function getSearchResultModel() {
+    return mongoose.model('SearchResult');
+}
+
+/**
+ * Lowercase, Unicode-normalize, drop punctuation and collapse whitespace.
+ * Characters that distinguish models ("s24+", "13.3", "wi-fi") are kept.
+ */
+function normalizeQuery(query) {
+    return String(query || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}+.\-\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function normalizeParams({ query, country = 'NG', currency = 'NGN', category = null }) {
+    const categoryKey = String(category || '').toLowerCase().trim();
+    return {
+        query: normalizeQuery(query),
+        country: String(country || 'NG').toUpperCase(),
+        currency: String(currency || 'NGN').toUpperCase(),
+        category: categoryKey && categoryKey !== 'other' ? categoryKey : ANY_CATEGORY
+    };
+}
+
+/**
+ * Cache key: normalized query | country | currency | category ('any' when none was given).
+ */
+function buildCacheKey(params) {
+    const { query, country, currency, category } = normalizeParams(params);
+    return `${query}|${country}|${currency}|${category}`;
+}
+
+// Deal without the per-user trackingId / trackingUrl (also cleans entries cached before they were stripped)
+function withoutTracking(deal) {
+    const plain = typeof deal.toObject === 'function' ? deal.toObject() : { ...deal };
+    delete plain.trackingId;
+    delete plain.trackingUrl;
+    return plain;
+}
+
+function ageOf(entry) {
+    return Date.now() - new Date(entry.lastUpdated).getTime();
+}
+
+function isStale(entry) {
+    return ageOf(entry) >= TTL_MS;
+}
+
+/**
+ * Provide the function that re-runs a search for a cache entry (used for background
+ * refreshes and warming).
+ */
+function setRefresher(fn) {
+    refresher = fn;
+}
+
+/**
+ * Re-run the search for an entry and store the result. Concurrent refreshes of the same
+ * key share one run. Resolves to the stored data, or null when nothing was found.
+ */
+function refreshEntry(params) {
+    const key = buildCacheKey(params);
+    if (inFlight.has(key)) return inFlight.get(key);
+    if (!refresher) return Promise.resolve(null);
+
+    const normalized = normalizeParams(params);
+    const run = (async () => {
+        console.log(`🔄 Refreshing search cache: "${key}"`);
+        const data = await refresher({ ...normalized, query: params.query || normalized.query });
+        if (!data || !data.deals || data.deals.length === 0) return null;
+        await setCachedSearch(params, { ...data, aiDealSummary: null });
+        return data;
+    })()
+        .catch(error => {
+            console.error(`❌ Search cache refresh failed for "${key}":`, error.message);
+            return null;
+        })
+        .finally(() => inFlight.delete(key));
+
+    inFlight.set(key, run);
+    return run;
+}
+
+/**
+ * Cached result for a search, or null on a miss. Expired entries (within the max stale
+ * age) are returned with `stale: true` and refreshed in the background.
+ */
+async function getCachedSearch(params) {
+    const key = buildCacheKey(params);
+    try {
+        const cached = await getSearchResultModel().findOne({ query: key });
+        if (!cached || ageOf(cached) >= MAX_STALE_MS) return null;
+
+        const stale = isStale(cached);
+        if (stale) {
+            console.log(`⏰ Serving stale cache for "${key}" while refreshing`);
+            refreshEntry(params);
+        } else {
+            console.log(`✅ DB Cache hit for "${key}"`);
+        }
+
+        return {
+            deals: cached.deals.map(withoutTracking),
+            totalValid: cached.totalValid,
+            aiDealSummary: cached.aiDealSummary,
+            lastUpdated: cached.lastUpdated,
+            stale
+        };
+    } catch (error) {
+        console.error('Cache read error:', error);
+        return null;
+    }
+}
+
+async function setCachedSearch(params, data) {
+    const key = buildCacheKey(params);
+    const normalized = normalizeParams(params);
+    try {
+        await getSearchResultModel().findOneAndUpdate(
+            { query: key },
+            {
+                normalizedQuery: normalized.query,
+                country: normalized.country,
+                currency: normalized.currency,
+                category: normalized.category,
+                deals: (data.deals || []).map(withoutTracking),
+                totalValid: data.totalValid,
+                aiDealSummary: data.aiDealSummary,
+                lastUpdated: new Date()
+            },
+            { upsert: true, new: true }
+        );
+        console.log(`💾 Saved search results to DB for "${key}"`);
+    } catch (error) {
+        console.error('Cache write error:', error);
+    }
+}
+
+// Mongo filter from admin query parameters (query is matched after normalization)
+function toFilter({ query, country, currency, category } = {}) {
+    const filter = {};
+    if (query) filter.normalizedQuery = normalizeQuery(query);
+    if (country) filter.country = String(country).toUpperCase();
+    if (currency) filter.currency = String(currency).toUpperCase();
+    if (category) filter.category = String(category).toLowerCase();
+    return filter;
+}
+
+/**
+ * Cache entries without their deals, newest first.
+ */
+async function listEntries(params = {}, limit = 50) {
+    const entries = await getSearchResultModel()
+        .find(toFilter(params))
+        .select('-deals')
+        .sort({ lastUpdated: -1 })
+        .limit(limit)
+        .lean();
+
+    return entries.map(entry => ({
+        ...entry,
+        ageMinutes: Math.round(ageOf(entry) / 60000),
+        stale: isStale(entry),
+        refreshing: inFlight.has(entry.query)
+    }));
+}
+
+/**
+ * Delete entries matching the filter. `olderThanHours` limits it to entries last updated
+ * before then. Returns the number deleted.
+ */
+async function purgeEntries(params = {}) {
+    const filter = toFilter(params);
+    if (params.olderThanHours) {
+        filter.lastUpdated = { $lt: new Date(Date.now() - parseFloat(params.olderThanHours) * 60 * 60 * 1000) };
+    }
+    const result = await getSearchResultModel().deleteMany(filter);
+    return result.deletedCount;
+}
+
+module.exports = {
+    TTL_MS,
+    MAX_STALE_MS,
+    normalizeQuery,
+    buildCacheKey,
+    setRefresher,
+    refreshEntry,
+    getCachedSearch,
+    setCachedSearch,
+    listEntries,
+    purgeEntries
+};
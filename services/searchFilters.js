@@ -0,0 +1,180 @@
+// Search filtering, sorting and facets for the search endpoints.
+// Request parameters win; the user's searchPreferences (minPrice, maxPrice, preferredStores,
+// avoidStores, resultLimit) are the defaults when a parameter is not given.
+
+const storeRegistry = require('./stores');
+const { resolveAllowedStores, matchesAllowedStore } = require('./partyFilters');
+
+const SORT_MODES = ['relevance', 'price_asc', 'price_desc', 'rating'];
+const CONDITIONS = ['new', 'used', 'refurbished'];
+const DEFAULT_LIMIT = 15;
+const MAX_LIMIT = 100;
+const PRICE_BUCKETS = 5;
+
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+// Accept arrays or comma-separated strings
+function toList(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(v => String(v).toLowerCase().trim()).filter(Boolean);
+}
+
+function parseRating(rating) {
+    const number = parseFloat(rating);
+    return isNaN(number) ? null : number;
+}
+
+function storeIdFor(deal) {
+    const store = storeRegistry.findStoreBySource(deal.source);
+    return store ? store.id : String(deal.source || 'unknown').toLowerCase();
+}
+
+/**
+ * Build search options from request params (query string or body) with the user's
+ * searchPreferences as defaults. `stores=all` / `excludeStores=none` clear a default list.
+ */
+function resolveSearchOptions(params = {}, user = null) {
+    const prefs = user?.searchPreferences || {};
+
+    const minPrice = toNumber(params.minPrice) ?? (prefs.minPrice > 0 ? prefs.minPrice : null);
+    const maxPrice = toNumber(params.maxPrice) ?? (prefs.maxPrice ?? null);
+
+    const storesParam = toList(params.stores);
+    const excludeParam = toList(params.excludeStores);
+    const stores = storesParam
+        ? (storesParam.includes('all') ? [] : resolveAllowedStores(storesParam))
+        : resolveAllowedStores(prefs.preferredStores);
+    const excludeStores = excludeParam
+        ? (excludeParam.includes('none') ? [] : resolveAllowedStores(excludeParam))
+        : resolveAllowedStores(prefs.avoidStores);
+
+    const conditions = (toList(params.condition) || []).filter(c => CONDITIONS.includes(c));
+    const sort = SORT_MODES.includes(params.sort) ? params.sort : 'relevance';
+    const requestedLimit = toNumber(params.limit ?? params.count) ?? prefs.resultLimit ?? DEFAULT_LIMIT;
+
+    return {
+        minPrice,
+        maxPrice,
+        stores,
+        excludeStores,
+        minRating: toNumber(params.minRating),
+        conditions,
+        sort,
+        limit: Math.min(Math.max(Math.floor(requestedLimit), 1), MAX_LIMIT)
+    };
+}
+
+// Each filter is named so facets can skip their own dimension
+const FILTERS = {
+    price: (deal, o) => {
+        const price = Number(deal.price);
+        return (o.minPrice === null || price >= o.minPrice) && (o.maxPrice === null || price <= o.maxPrice);
+    },
+    store: (deal, o) =>
+        matchesAllowedStore(deal, o.stores) &&
+        (o.excludeStores.length === 0 || !matchesAllowedStore(deal, o.excludeStores)),
+    rating: (deal, o) => {
+        if (o.minRating === null) return true;
+        const rating = parseRating(deal.rating);
+        return rating !== null && rating >= o.minRating;
+    },
+    // Listings that do not state a condition count as new
+    condition: (deal, o) => o.conditions.length === 0 || o.conditions.includes(deal.attributes?.condition || 'new')
+};
+
+function applyFilters(deals, options, skip = null) {
+    return deals.filter(deal => Object.entries(FILTERS).every(([name, test]) => name === skip || test(deal, options)));
+}
+
+function sortDeals(deals, sort) {
+    const sorted = [...deals];
+    switch (sort) {
+        case 'price_asc':
+            return sorted.sort((a, b) => a.price - b.price);
+        case 'price_desc':
+            return sorted.sort((a, b) => b.price - a.price);
+        case 'rating':
+            return sorted.sort((a, b) => (parseRating(b.rating) ?? -1) - (parseRating(a.rating) ?? -1));
+        default:
+            return sorted; // relevance: keep the ranked order from findBestDeals
+    }
+}
+
+function niceStep(range) {
+    if (range <= 0) return 1;
+    const raw = range / PRICE_BUCKETS;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    return [1, 2, 2.5, 5, 10].find(f => f * magnitude >= raw) * magnitude;
+}
+
+function priceBuckets(deals) {
+    const prices = deals.map(d => Number(d.price)).filter(p => !isNaN(p));
+    if (prices.length === 0) return [];
+
+    const step = niceStep(Math.max(...prices) - Math.min(...prices));
+    const start = Math.floor(Math.min(...prices) / step) * step;
+    const buckets = new Map();
+
+    for (const price of prices) {
+        const min = start + Math.floor((price - start) / step) * step;
+        buckets.set(min, (buckets.get(min) || 0) + 1);
+    }
+
+    return [...buckets.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([min, count]) => ({ min, max: min + step, count }));
+}
+
+function countBy(deals, keyFn) {
+    const counts = new Map();
+    for (const deal of deals) {
+        const key = keyFn(deal);
+        if (!counts.has(key.id)) counts.set(key.id, { ...key, count: 0 });
+        counts.get(key.id).count++;
+    }
+    return [...counts.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Facet counts. Each facet ignores its own filter so the client can show the
+ * alternatives (e.g. other stores) alongside the current selection.
+ */
+function buildFacets(deals, options) {
+    return {
+        stores: countBy(applyFilters(deals, options, 'store'), d => {
+            const store = storeRegistry.findStoreBySource(d.source);
+            return { id: storeIdFor(d), name: store ? store.name : d.source };
+        }),
+        priceBuckets: priceBuckets(applyFilters(deals, options, 'price')),
+        conditions: countBy(applyFilters(deals, options, 'condition'), d => ({ id: d.attributes?.condition || 'new' }))
+    };
+}
+
+/**
+ * Filter, sort and limit deals. Returns { deals, totalMatched, facets, options }.
+ */
+function applySearchOptions(deals, options) {
+    const input = deals || [];
+    const matched = sortDeals(applyFilters(input, options), options.sort);
+
+    return {
+        deals: matched.slice(0, options.limit),
+        totalMatched: matched.length,
+        facets: buildFacets(input, options),
+        options
+    };
+}
+
+module.exports = {
+    SORT_MODES,
+    resolveSearchOptions,
+    applyFilters,
+    sortDeals,
+    buildFacets,
+    applySearchOptions
+};
@@ -0,0 +1,273 @@
+// Search Party job queue - MongoDB-backed so scheduled searches survive restarts,
+// never run the same party twice at once, and can be shared across server instances.
+//
+// Each active party has one SearchJob document. Workers claim due jobs with an
+// atomic findOneAndUpdate that sets a lease (lockedBy/lockedUntil); a crashed
+// worker's lease simply expires and another worker picks the job up. Reclaiming an
+// expired lease counts as a failed attempt, so a job that keeps killing its worker
+// ends up dead instead of retrying forever.
+
+const os = require('os');
+const mongoose = require('mongoose');
+
+const WORKER_ID = `${os.hostname()}-${process.pid}`;
+
+const DEFAULTS = {
+    concurrency: parseInt(process.env.SEARCH_QUEUE_CONCURRENCY, 10) || 2,
+    pollIntervalMs: (parseInt(process.env.SEARCH_QUEUE_POLL_SECONDS, 10) || 30) * 1000,
+    leaseMs: (parseInt(process.env.SEARCH_JOB_LEASE_MINUTES, 10) || 10) * 60 * 1000,
+    maxAttempts: parseInt(process.env.SEARCH_JOB_MAX_ATTEMPTS, 10) || 5,
+    backoffBaseMs: (parseInt(process.env.SEARCH_JOB_BACKOFF_MINUTES, 10) || 5) * 60 * 1000
+};
+
+// Lazy-load models (defined in server.js) to avoid load-order issues
+function getModels() {
+    return {
+        Party: mongoose.model('Party'),
+        SearchJob: mongoose.model('SearchJob')
+    };
+}
+
+class SearchQueue {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.handler = null;
+        this.timer = null;
+        this.active = new Set(); // jobIds being processed by this worker
+        this.polling = false;
+    }
+
+    /**
+     * Start polling for due jobs. `handler(party, job)` runs one party search and
+     * should throw on failure so the job is retried.
+     */
+    start(handler) {
+        if (this.timer) return;
+        this.handler = handler;
+        console.log(`🗂️ Search queue worker ${WORKER_ID} started (concurrency ${this.options.concurrency}, poll every ${this.options.pollIntervalMs / 1000}s).`);
+        this.poll();
+        this.timer = setInterval(() => this.poll(), this.options.pollIntervalMs);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Create the job for an active party (first run due one frequency after its
+     * last run, matching the old interval check) or remove it for an inactive one.
+     * Existing jobs keep their place in the queue unless the party's frequency
+     * changed, in which case a waiting job is rescheduled from the party's last run.
+     * A failed job keeps its retry backoff if that ends later.
+     */
+    async enqueueParty(party) {
+        const { SearchJob } = getModels();
+
+        if (!party.active) {
+            await SearchJob.deleteOne({ partyId: party._id });
+            return null;
+        }
+
+        const frequencyHours = party.searchFrequencyHours || 12;
+        const lastRun = party.lastRunAt || party.createdAt || new Date();
+        const dueAt = new Date(new Date(lastRun).getTime() + frequencyHours * 60 * 60 * 1000);
+
+        const job = await SearchJob.findOneAndUpdate(
+            { partyId: party._id },
+            { $setOnInsert: { partyId: party._id, status: 'queued', attempts: 0, nextRunAt: dueAt, searchFrequencyHours: frequencyHours } },
+            { upsert: true, new: true }
+        );
+
+        // A running job picks up the new frequency when it finishes
+        if (job.searchFrequencyHours !== frequencyHours && ['queued', 'failed'].includes(job.status)) {
+            const nextRunAt = job.status === 'failed' && job.nextRunAt > dueAt ? job.nextRunAt : dueAt;
+            const rescheduled = await SearchJob.findOneAndUpdate(
+                { _id: job._id, status: job.status },
+                { $set: { nextRunAt, searchFrequencyHours: frequencyHours } },
+                { new: true }
+            );
+            return rescheduled || job;
+        }
+        return job;
+    }
+
+    async removeParty(partyId) {
+        const { SearchJob } = getModels();
+        await SearchJob.deleteOne({ partyId });
+    }
+
+    /**
+     * Make sure every active party has a job and no job outlives its party.
+     */
+    async syncParties() {
+        const { Party, SearchJob } = getModels();
+        const activeParties = await Party.find({ active: true });
+        const activeIds = activeParties.map(p => p._id);
+
+        for (const party of activeParties) {
+            await this.enqueueParty(party);
+        }
+
+        const removed = await SearchJob.deleteMany({ partyId: { $nin: activeIds } });
+        return { active: activeParties.length, removed: removed.deletedCount || 0 };
+    }
+
+    /**
+     * Atomically claim the next due job. Jobs whose lease expired (the worker crashed
+     * or hung) are reclaimed first with the lost run counted as a failed attempt; those
+     * already at maxAttempts are dead-lettered instead.
+     */
+    async claimNext() {
+        const { SearchJob } = getModels();
+        const now = new Date();
+        const lease = {
+            status: 'running',
+            lockedBy: WORKER_ID,
+            lockedUntil: new Date(now.getTime() + this.options.leaseMs),
+            startedAt: now
+        };
+        const leaseLost = 'Lease expired: the worker crashed or stopped responding';
+
+        const deadLettered = await SearchJob.updateMany(
+            { status: 'running', lockedUntil: { $lt: now }, attempts: { $gte: this.options.maxAttempts - 1 } },
+            {
+                $set: { status: 'dead', lastError: leaseLost },
+                $inc: { attempts: 1 },
+                $unset: { lockedBy: '', lockedUntil: '' }
+            }
+        );
+        if (deadLettered.modifiedCount > 0) {
+            console.error(`💀 ${deadLettered.modifiedCount} search job(s) dead-lettered after their lease expired ${this.options.maxAttempts} times.`);
+        }
+
+        const reclaimed = await SearchJob.findOneAndUpdate(
+            { status: 'running', lockedUntil: { $lt: now } },
+            { $set: { ...lease, lastError: leaseLost }, $inc: { attempts: 1 } },
+            { sort: { nextRunAt: 1 }, new: true }
+        );
+        if (reclaimed) {
+            console.error(`⚠️ Reclaimed search job ${reclaimed._id} after its lease expired (attempt ${reclaimed.attempts}/${this.options.maxAttempts}).`);
+            return reclaimed;
+        }
+
+        return SearchJob.findOneAndUpdate(
+            { status: { $in: ['queued', 'failed'] }, nextRunAt: { $lte: now } },
+            { $set: lease },
+            { sort: { nextRunAt: 1 }, new: true }
+        );
+    }
+
+    async poll() {
+        if (this.polling || !this.handler) return;
+        this.polling = true;
+
+        try {
+            while (this.active.size < this.options.concurrency) {
+                const job = await this.claimNext();
+                if (!job) break;
+
+                this.active.add(String(job._id));
+                this.process(job).finally(() => this.active.delete(String(job._id)));
+            }
+        } catch (error) {
+            console.error('Search queue poll error:', error.message);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    async process(job) {
+        const { Party, SearchJob } = getModels();
+        const startedAt = Date.now();
+
+        // Keep the lease alive while a slow scrape is running
+        const renew = setInterval(() => {
+            SearchJob.updateOne(
+                { _id: job._id, lockedBy: WORKER_ID },
+                { $set: { lockedUntil: new Date(Date.now() + this.options.leaseMs) } }
+            ).catch(err => console.error('Search job lease renewal error:', err.message));
+        }, Math.max(1000, this.options.leaseMs / 2));
+
+        try {
+            const party = await Party.findById(job.partyId);
+            if (!party || !party.active) {
+                await SearchJob.deleteOne({ _id: job._id });
+                return;
+            }
+
+            await this.handler(party, job);
+
+            const nextRunAt = new Date(Date.now() + (party.searchFrequencyHours || 12) * 60 * 60 * 1000);
+            await SearchJob.updateOne(
+                { _id: job._id, lockedBy: WORKER_ID },
+                {
+                    $set: {
+                        status: 'queued',
+                        attempts: 0,
+                        lastError: null,
+                        lastRunAt: new Date(),
+                        lastDurationMs: Date.now() - startedAt,
+                        nextRunAt,
+                        searchFrequencyHours: party.searchFrequencyHours || 12
+                    },
+                    $unset: { lockedBy: '', lockedUntil: '' }
+                }
+            );
+        } catch (error) {
+            const attempts = (job.attempts || 0) + 1;
+            const dead = attempts >= this.options.maxAttempts;
+            const backoff = this.options.backoffBaseMs * Math.pow(2, attempts - 1);
+
+            console.error(`❌ Search job ${job._id} failed (attempt ${attempts}/${this.options.maxAttempts}):`, error.message);
+
+            await SearchJob.updateOne(
+                { _id: job._id, lockedBy: WORKER_ID },
+                {
+                    $set: {
+                        status: dead ? 'dead' : 'failed',
+                        attempts,
+                        lastError: error.message,
+                        lastRunAt: new Date(),
+                        lastDurationMs: Date.now() - startedAt,
+                        nextRunAt: new Date(Date.now() + backoff)
+                    },
+                    $unset: { lockedBy: '', lockedUntil: '' }
+                }
+            ).catch(err => console.error('Search job status update error:', err.message));
+        } finally {
+            clearInterval(renew);
+        }
+    }
+
+    /**
+     * Move a dead or failed job back to the queue for an immediate run.
+     */
+    async requeue(jobId) {
+        const { SearchJob } = getModels();
+        return SearchJob.findOneAndUpdate(
+            { _id: jobId, status: { $in: ['dead', 'failed'] } },
+            { $set: { status: 'queued', attempts: 0, nextRunAt: new Date() } },
+            { new: true }
+        );
+    }
+
+    async stats() {
+        const { SearchJob } = getModels();
+        const counts = await SearchJob.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+        const byStatus = { queued: 0, running: 0, failed: 0, dead: 0 };
+        counts.forEach(c => { byStatus[c._id] = c.count; });
+
+        return {
+            worker: WORKER_ID,
+            activeOnThisWorker: this.active.size,
+            concurrency: this.options.concurrency,
+            counts: byStatus
+        };
+    }
+}
+
+const searchQueue = new SearchQueue();
+module.exports = searchQueue;
@@ -0,0 +1,127 @@
+// Search service - external store search as in-process functions: fetch from the scrapper,
+// map its items to the internal result shape and order them by the ranking policy.
+// GET /api/search, searchAllSources and the streaming search all call this directly
+// instead of making HTTP requests back to the server's own /api/search route.
+//
+// searchByStore fans out one scrapper request per store so each store's results can be
+// handled (and streamed) as soon as that store answers. Each request passes ?store=<id>, but
+// only items whose source belongs to that store are kept, so a scrapper that ignores the
+// parameter costs extra load but never repeats deals once per store.
+
+const scrapperClient = require('./scrapper');
+const storeRegistry = require('./stores');
+const rankingPolicy = require('./rankingPolicy');
+
+const STORE_TIMEOUT_MS = parseInt(process.env.SCRAPPER_STORE_TIMEOUT_MS, 10) || 15000;
+
+/**
+ * Scrapper item → internal result shape.
+ */
+function mapScrapperItem(item) {
+    return {
+        title: item.title,
+        price: item.price,
+        source: item.source,
+        link: item.link,
+        thumbnail: item.img || item.thumbnail,
+        rating: item.rating || 'N/A',
+        reviews: 'N/A',
+        isNigerian: storeRegistry.isNigerianSource(item.source)
+    };
+}
+
+/**
+ * Search the external stores. Resolves to { status, results, count, meta, error }, where
+ * status is 'ok' or 'upstream_unavailable' (scrapper unreachable; results are empty and
+ * say nothing about whether the product exists).
+ */
+async function searchExternal(query, { category = 'other', country = 'NG' } = {}) {
+    const scrapped = await scrapperClient.search(query, category);
+
+    if (scrapped.status === 'upstream_unavailable') {
+        console.error(`❌ Scrapper unavailable (${scrapped.error}) after ${scrapped.attempts} attempt(s)`);
+        return { status: scrapped.status, results: [], count: 0, meta: {}, error: scrapped.error };
+    }
+
+    console.log(`✅ Custom API returned ${scrapped.results.length} results in ${scrapped.latencyMs}ms`);
+    console.log(`🗂️  Result breakdown:`, Object.keys(scrapped.meta).length > 0 ? scrapped.meta : 'No counts provided');
+
+    const results = rankingPolicy.rankDeals(scrapped.results.map(mapScrapperItem), { country, category });
+    return { status: 'ok', results, count: results.length, meta: scrapped.meta };
+}
+
+/**
+ * Stores to fan out to: SCRAPPER_STORES (comma-separated ids) when set, else the stores the
+ * ranking policy for the country and category places, else every registered store.
+ */
+function storesToSearch(country = 'NG', category = null) {
+    const configured = (process.env.SCRAPPER_STORES || '').split(',').map(s => s.trim()).filter(Boolean);
+    const ids = configured.length > 0
+        ? configured
+        : rankingPolicy.getPolicy(country, category).sources.map(source => source.storeId);
+
+    const stores = ids.map(id => storeRegistry.getStore(id)).filter(Boolean);
+    return stores.length > 0 ? stores : storeRegistry.listStores();
+}
+
+/**
+ * Search each store separately and in parallel.
+ *
+ * - onStatus({ store, name, status, count, latencyMs, error }) is called with 'pending' for
+ *   every store up front, then once per store with 'done', 'failed' or 'timeout'.
+ * - onResults({ store, name, results }) is awaited for each store that answers, before its
+ *   'done' status, so the caller can process and emit that store's results.
+ *
+ * Resolves to { stores: [final statuses], upstreamUnavailable } where upstreamUnavailable
+ * means no store answered.
+ */
+async function searchByStore(query, { category = 'other', country = 'NG', timeoutMs = STORE_TIMEOUT_MS, onStatus = () => {}, onResults = async () => {} } = {}) {
+    const stores = storesToSearch(country, category);
+    stores.forEach(store => onStatus({ store: store.id, name: store.name, status: 'pending' }));
+
+    const statuses = await Promise.all(stores.map(async (store) => {
+        const scrapped = await scrapperClient.search(query, category, { store: store.id, timeoutMs, retries: 0 });
+
+        if (scrapped.status === 'upstream_unavailable') {
+            const status = {
+                store: store.id,
+                name: store.name,
+                status: scrapped.error === 'timeout' ? 'timeout' : 'failed',
+                count: 0,
+                latencyMs: scrapped.latencyMs,
+                error: scrapped.error
+            };
+            onStatus(status);
+            return status;
+        }
+
+        const items = scrapped.results.filter(item => storeRegistry.findStoreBySource(item.source)?.id === store.id);
+        if (items.length < scrapped.results.length) {
+            console.log(`🧹 ${store.name}: dropped ${scrapped.results.length - items.length} result(s) from other stores`);
+        }
+
+        let status;
+        try {
+            const results = rankingPolicy.rankDeals(items.map(mapScrapperItem), { country, category });
+            const count = await onResults({ store: store.id, name: store.name, results });
+            status = { store: store.id, name: store.name, status: 'done', count: count ?? results.length, latencyMs: scrapped.latencyMs };
+        } catch (error) {
+            console.error(`❌ Processing results from ${store.name} failed:`, error.message);
+            status = { store: store.id, name: store.name, status: 'failed', count: 0, latencyMs: scrapped.latencyMs, error: 'processing_failed' };
+        }
+        onStatus(status);
+        return status;
+    }));
+
+    return {
+        stores: statuses,
+        upstreamUnavailable: statuses.every(s => s.status === 'failed' || s.status === 'timeout')
+    };
+}
+
+module.exports = {
+    mapScrapperItem,
+    searchExternal,
+    storesToSearch,
+    searchByStore
+};
@@ -0,0 +1,134 @@
+// Resumable search streams - every /api/execute-search-stream run gets a search id, and its
+// SSE events are numbered (`id:` field) and buffered in memory. A client that drops its
+// connection re-attaches with GET /api/searches/:id/events and the Last-Event-ID it last saw;
+// it gets the events it missed, then the live ones, without the search being run again.
+//
+// The search keeps running when every client has gone. Buffers are dropped SEARCH_STREAM_TTL_SECONDS
+// after the search finishes (or SEARCH_STREAM_MAX_AGE_MINUTES after it started, if it never does).
+
+const crypto = require('crypto');
+
+const TTL_MS = (parseInt(process.env.SEARCH_STREAM_TTL_SECONDS, 10) || 300) * 1000;
+const MAX_AGE_MS = (parseInt(process.env.SEARCH_STREAM_MAX_AGE_MINUTES, 10) || 15) * 60 * 1000;
+
+const streams = new Map(); // search id -> { id, userId, query, events, clients, done, createdAt, finishedAt }
+
+function isExpired(stream, now = Date.now()) {
+    return stream.done
+        ? now - stream.finishedAt > TTL_MS
+        : now - stream.createdAt > MAX_AGE_MS;
+}
+
+// Expired buffers are dropped lazily whenever streams are created or looked up
+function sweep() {
+    const now = Date.now();
+    for (const [id, stream] of streams) {
+        if (isExpired(stream, now)) {
+            stream.clients.forEach(res => res.end());
+            streams.delete(id);
+        }
+    }
+}
+
+function writeEvent(res, entry) {
+    res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+}
+
+/**
+ * SSE response headers.
+ */
+function openResponse(res) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+}
+
+/**
+ * Start buffering a new search. The search id is a random UUID.
+ */
+function createStream({ userId = null, query = null } = {}) {
+    sweep();
+    const stream = {
+        id: crypto.randomUUID(),
+        userId: userId ? String(userId) : null,
+        query,
+        events: [],
+        clients: new Set(),
+        done: false,
+        createdAt: Date.now(),
+        finishedAt: null
+    };
+    streams.set(stream.id, stream);
+    return stream;
+}
+
+function getStream(id) {
+    sweep();
+    return streams.get(id) || null;
+}
+
+/**
+ * Streams started by a signed-in user are only readable by that user; anonymous ones by
+ * anyone holding the id.
+ */
+function canAccess(stream, userId) {
+    return !stream.userId || stream.userId === String(userId);
+}
+
+/**
+ * Buffer an event and send it to every attached client. Event ids count up from 1.
+ * Returns the event's id, or null when the stream is gone or finished.
+ */
+function emit(id, event, data) {
+    const stream = streams.get(id);
+    if (!stream || stream.done) return null;
+
+    const entry = { id: stream.events.length + 1, event, data };
+    stream.events.push(entry);
+    stream.clients.forEach(res => writeEvent(res, entry));
+    return entry.id;
+}
+
+/**
+ * Mark the search finished and close attached clients. The buffer stays for TTL_MS.
+ */
+function finish(id) {
+    const stream = streams.get(id);
+    if (!stream || stream.done) return;
+
+    stream.done = true;
+    stream.finishedAt = Date.now();
+    stream.clients.forEach(res => res.end());
+    stream.clients.clear();
+}
+
+/**
+ * Replay the events after `lastEventId` to `res`, then keep it attached for live events
+ * (or end it if the search has finished). The SSE headers must already be set.
+ */
+function attach(id, res, lastEventId = 0) {
+    const stream = streams.get(id);
+    if (!stream) return false;
+
+    const after = parseInt(lastEventId, 10) || 0;
+    stream.events.filter(entry => entry.id > after).forEach(entry => writeEvent(res, entry));
+
+    if (stream.done) {
+        res.end();
+        return true;
+    }
+    stream.clients.add(res);
+    res.on('close', () => stream.clients.delete(res));
+    return true;
+}
+
+module.exports = {
+    TTL_MS,
+    openResponse,
+    createStream,
+    getStream,
+    canAccess,
+    emit,
+    finish,
+    attach
+};
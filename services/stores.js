@@ -0,0 +1,258 @@
+// Store registry - single place where every supported store is declared.
+// Search, pricing, affiliate and ranking code look stores up here instead of
+// matching hardcoded source names.
+
+const stores = new Map();
+
+/**
+ * Register a store.
+ *
+ * - id: stable lowercase identifier (e.g. 'jumia')
+ * - name: display name used in results
+ * - aliases: lowercase substrings that identify the store in scrapper `source` values
+ * - domains: hostnames the store's product links live on
+ * - country: ISO country the store sells in
+ * - currency: currency prices are quoted in when the scrapper gives no symbol
+ * - affiliate: default affiliate program, or null. Seeds the admin-editable AffiliateProgram
+ *              collection (services/affiliates.js): { enabled, param, value } appends a query
+ *              parameter, { enabled, type: 'url_template', template } wraps the link in a deep link
+ * - searchUrl: template used to manufacture a link when the scrapper gives none ({query} is replaced)
+ * - ranking: per-category placement on the Nigerian storefront, { lead: n } stacks the store at
+ *            the top, { mix: n } interleaves it. Looked up by category with `default` as the
+ *            fallback. Seeds the admin-editable RankingPolicy collection (services/rankingPolicy.js).
+ */
+function registerStore(config) {
+    if (!config || !config.id) {
+        throw new Error('Store registration requires an id');
+    }
+
+    const store = {
+        name: config.id,
+        aliases: [config.id],
+        domains: [],
+        country: 'US',
+        currency: 'USD',
+        affiliate: null,
+        searchUrl: null,
+        ranking: null,
+        ...config
+    };
+
+    stores.set(store.id, store);
+    return store;
+}
+
+function getStore(id) {
+    return stores.get(id) || null;
+}
+
+function listStores() {
+    return Array.from(stores.values());
+}
+
+/**
+ * Resolve a scrapper `source` string (e.g. "Jumia", "amazon.co.uk") to a registered store.
+ * Longest alias wins so "amazon.co.uk" matches before "amazon".
+ */
+function findStoreBySource(source) {
+    if (!source) return null;
+    const sourceLower = String(source).toLowerCase();
+
+    let best = null;
+    let bestLength = 0;
+    for (const store of stores.values()) {
+        for (const alias of store.aliases) {
+            if (alias.length > bestLength && sourceLower.includes(alias)) {
+                best = store;
+                bestLength = alias.length;
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Resolve a link hostname to a registered store via its declared domains.
+ */
+function findStoreByHostname(hostname) {
+    if (!hostname) return null;
+    const host = hostname.toLowerCase();
+    return listStores().find(store => store.domains.some(domain => host.includes(domain))) || null;
+}
+
+function getStoresByCountry(country) {
+    return listStores().filter(store => store.country === country);
+}
+
+function isLocalSource(source, country = 'NG') {
+    const store = findStoreBySource(source);
+    return !!store && store.country === country;
+}
+
+function isNigerianSource(source) {
+    return isLocalSource(source, 'NG');
+}
+
+/**
+ * Currency a store quotes prices in, or null when the source is unknown.
+ */
+function getStoreCurrency(source) {
+    const store = findStoreBySource(source);
+    return store ? store.currency : null;
+}
+
+/**
+ * Build a search link on the store's site for a product title.
+ * Returns null when the store is unknown or declares no searchUrl.
+ */
+function manufactureLink(source, title) {
+    const store = findStoreBySource(source);
+    if (!store || !store.searchUrl || !title) return null;
+    return store.searchUrl.replace('{query}', encodeURIComponent(title.trim()));
+}
+
+/**
+ * Ranking placement of a store for a category, or null when the store declares none.
+ */
+function getRanking(store, category) {
+    if (!store || !store.ranking) return null;
+    return store.ranking[category] || store.ranking.default || null;
+}
+
+// --- Nigerian stores ---
+
+registerStore({
+    id: 'jumia',
+    name: 'Jumia',
+    aliases: ['jumia'],
+    domains: ['jumia.com.ng'],
+    country: 'NG',
+    currency: 'NGN',
+    affiliate: { enabled: !!process.env.JUMIA_AFFILIATE_TEMPLATE, type: 'url_template', template: process.env.JUMIA_AFFILIATE_TEMPLATE || '' },
+    ranking: { default: { lead: 0 } }
+});
+
+registerStore({
+    id: 'konga',
+    name: 'Konga',
+    aliases: ['konga'],
+    domains: ['konga.com'],
+    country: 'NG',
+    currency: 'NGN',
+    affiliate: { enabled: !!process.env.KONGA_AFFILIATE_TEMPLATE, type: 'url_template', template: process.env.KONGA_AFFILIATE_TEMPLATE || '' },
+    ranking: { default: { mix: 0 }, gadget: { mix: 0 } }
+});
+
+registerStore({
+    id: 'ajebo',
+    name: 'Ajebo',
+    aliases: ['ajebo'],
+    domains: ['ajebomarket.com'],
+    country: 'NG',
+    currency: 'NGN',
+    ranking: { default: { mix: 1 }, gadget: { mix: 2 } }
+});
+
+registerStore({
+    id: 'dexstitches',
+    name: 'DexStitches',
+    aliases: ['dexstitches'],
+    domains: ['dexstitches.com'],
+    country: 'NG',
+    currency: 'NGN',
+    ranking: { default: { mix: 2 }, gadget: { mix: 3 } }
+});
+
+registerStore({
+    id: 'jiji',
+    name: 'Jiji',
+    aliases: ['jiji'],
+    domains: ['jiji.ng'],
+    country: 'NG',
+    currency: 'NGN',
+    ranking: { default: { mix: 3 }, gadget: { mix: 1 } }
+});
+
+registerStore({
+    id: 'slot',
+    name: 'Slot',
+    aliases: ['slot'],
+    domains: ['slot.ng'],
+    country: 'NG',
+    currency: 'NGN',
+    ranking: { default: { mix: 4 }, gadget: { lead: 1 } }
+});
+
+// --- International stores ---
+
+registerStore({
+    id: 'amazon',
+    name: 'Amazon',
+    aliases: ['amazon', 'amazon.com'],
+    domains: ['amazon.com', 'amzn.to'],
+    country: 'US',
+    currency: 'USD',
+    affiliate: { enabled: true, param: 'tag', value: 'sagato-20' },
+    searchUrl: 'https://amazon.com/s?k={query}',
+    ranking: { default: { lead: 1 }, gadget: { lead: 2 } }
+});
+
+registerStore({
+    id: 'amazon-uk',
+    name: 'Amazon UK',
+    aliases: ['amazon.co.uk'],
+    domains: ['amazon.co.uk'],
+    country: 'GB',
+    currency: 'GBP',
+    affiliate: { enabled: false, param: 'tag', value: '' },
+    searchUrl: 'https://amazon.co.uk/s?k={query}',
+    ranking: { default: { lead: 1 }, gadget: { lead: 2 } }
+});
+
+registerStore({
+    id: 'ebay',
+    name: 'eBay',
+    aliases: ['ebay', 'ebay.com'],
+    domains: ['ebay.com'],
+    affiliate: { enabled: false, param: 'campid', value: '' },
+    searchUrl: 'https://ebay.com/sch/i.html?_nkw={query}'
+});
+
+registerStore({
+    id: 'walmart',
+    name: 'Walmart',
+    aliases: ['walmart', 'walmart.com'],
+    domains: ['walmart.com'],
+    affiliate: { enabled: false, param: 'publisherId', value: '' },
+    searchUrl: 'https://walmart.com/search?query={query}'
+});
+
+registerStore({
+    id: 'bestbuy',
+    name: 'Best Buy',
+    aliases: ['best buy', 'bestbuy', 'bestbuy.com'],
+    domains: ['bestbuy.com'],
+    searchUrl: 'https://bestbuy.com/site/searchpage.jsp?st={query}'
+});
+
+registerStore({
+    id: 'newegg',
+    name: 'Newegg',
+    aliases: ['newegg', 'newegg.com'],
+    domains: ['newegg.com'],
+    searchUrl: 'https://newegg.com/p/{query}'
+});
+
+module.exports = {
+    registerStore,
+    getStore,
+    listStores,
+    findStoreBySource,
+    findStoreByHostname,
+    getStoresByCountry,
+    isLocalSource,
+    isNigerianSource,
+    getStoreCurrency,
+    manufactureLink,
+    getRanking
+};
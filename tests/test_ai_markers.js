@@ -0,0 +1,103 @@
+// SEARCH:/CATEGORY: marker handling in services/ai.js: extractSearchMarkers on the full reply
+// and createMarkerFilter on the streamed deltas must agree on what is removed.
+// Runs without network access.
+//
+// Usage: node tests/test_ai_markers.js
+
+const assert = require('assert');
+
+process.env.GOOGLE_API_KEY = process.env.GOOGLE_API_KEY || 'test';
+const aiService = require('../services/ai');
+
+let failures = 0;
+
+function check(label, fn) {
+    try {
+        fn();
+        console.log(`✅ ${label}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${label}\n   ${error.message}`);
+    }
+}
+
+// Stream `text` through a marker filter in chunks of `size` characters
+function streamThroughFilter(text, size) {
+    let output = '';
+    const filter = aiService.createMarkerFilter(delta => { output += delta; });
+    for (let i = 0; i < text.length; i += size) {
+        filter.push(text.slice(i, i + size));
+    }
+    filter.flush();
+    return output;
+}
+
+const REPLIES = {
+    ownLines: 'Great choice! Samsung phones are solid.\nSEARCH: samsung s24\nCATEGORY: gadget',
+    midLine: 'Sure, let me look. SEARCH: iphone 15\nCATEGORY: gadget',
+    markdown: 'Here you go!\n**SEARCH:** tv\n**CATEGORY:** electronics',
+    noMarkers: 'Hi! What are you shopping for today?\nI can compare prices across stores.',
+    lookalike: 'My RESEARCH: shows prices drop in November.\nSEARCH: ps5'
+};
+
+console.log('🔎 Chat marker tests\n');
+
+check('Markers on their own lines are extracted', () => {
+    assert.deepStrictEqual(aiService.extractSearchMarkers(REPLIES.ownLines), {
+        text: 'Great choice! Samsung phones are solid.',
+        shouldSearch: true,
+        searchQuery: 'samsung s24',
+        category: 'gadget'
+    });
+});
+
+check('A marker mid-line keeps the text before it', () => {
+    const markers = aiService.extractSearchMarkers(REPLIES.midLine);
+    assert.strictEqual(markers.text, 'Sure, let me look.');
+    assert.strictEqual(markers.searchQuery, 'iphone 15');
+    assert.strictEqual(markers.category, 'gadget');
+});
+
+check('Markdown emphasis around a marker is not part of the value', () => {
+    const markers = aiService.extractSearchMarkers(REPLIES.markdown);
+    assert.strictEqual(markers.text, 'Here you go!');
+    assert.strictEqual(markers.searchQuery, 'tv');
+    assert.strictEqual(markers.category, 'electronics');
+});
+
+check('A reply without markers is not a search', () => {
+    assert.deepStrictEqual(aiService.extractSearchMarkers(REPLIES.noMarkers), {
+        text: REPLIES.noMarkers,
+        shouldSearch: false,
+        searchQuery: null,
+        category: 'other'
+    });
+});
+
+check('SEARCH: inside a word is not a marker', () => {
+    const markers = aiService.extractSearchMarkers(REPLIES.lookalike);
+    assert.strictEqual(markers.text, 'My RESEARCH: shows prices drop in November.');
+    assert.strictEqual(markers.searchQuery, 'ps5');
+});
+
+for (const [name, reply] of Object.entries(REPLIES)) {
+    for (const size of [1, 3, 7, reply.length]) {
+        check(`Filter (${name}, ${size === 1 ? 'char by char' : `${size}-char chunks`}) streams what the extractor keeps`, () => {
+            const streamed = streamThroughFilter(reply, size);
+            const { text } = aiService.extractSearchMarkers(reply);
+            assert.strictEqual(streamed.trim(), text);
+            assert.ok(!aiService.extractSearchMarkers(streamed).shouldSearch, `marker leaked: ${JSON.stringify(streamed)}`);
+        });
+    }
+}
+
+check('Filter forwards text without markers unchanged', () => {
+    assert.strictEqual(streamThroughFilter(REPLIES.noMarkers, 1), REPLIES.noMarkers);
+});
+
+check('Filter releases a held partial marker at the end', () => {
+    assert.strictEqual(streamThroughFilter('Try the SEA', 1), 'Try the SEA');
+});
+
+console.log(failures === 0 ? '\n🎉 All marker tests passed' : `\n❌ ${failures} marker test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
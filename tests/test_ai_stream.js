@@ -0,0 +1,95 @@
+// Streaming Gemini replies in services/ai.js: streamGeminiAPI joins the SSE chunks, and stops
+// reading when the caller's signal aborts or the reply takes longer than its timeout.
+// axios.post is stubbed with an in-memory stream, so it runs without network access.
+//
+// Usage: node tests/test_ai_stream.js
+
+const assert = require('assert');
+const { PassThrough } = require('stream');
+const axios = require('axios');
+
+process.env.GOOGLE_API_KEY = process.env.GOOGLE_API_KEY || 'test';
+const aiService = require('../services/ai');
+
+let failures = 0;
+
+async function check(label, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${label}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${label}\n   ${error.message}`);
+    }
+}
+
+const sseChunk = text => `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}\r\n\r\n`;
+
+// Replace axios.post with one that answers with `body`, a stream the test writes to
+function stubGemini() {
+    const body = new PassThrough();
+    const request = {};
+    axios.post = async (url, data, config) => {
+        request.url = url;
+        request.config = config;
+        return { data: body };
+    };
+    return { body, request };
+}
+
+(async () => {
+    console.log('🌊 Gemini stream tests\n');
+
+    await check('Chunks are passed to onDelta and joined into the reply', async () => {
+        const { body, request } = stubGemini();
+        const deltas = [];
+        const reply = aiService.streamGeminiAPI('hi', text => deltas.push(text));
+        await new Promise(resolve => setImmediate(resolve));
+        body.write(sseChunk('Hello'));
+        body.write(sseChunk(', there').slice(0, 20));
+        body.end(sseChunk(', there').slice(20));
+
+        assert.strictEqual(await reply, 'Hello, there');
+        assert.deepStrictEqual(deltas, ['Hello', ', there']);
+        assert.ok(request.url.includes('alt=sse'));
+        assert.ok(request.config.signal, 'axios request has no abort signal');
+    });
+
+    await check('Aborting the signal stops reading and rejects with ABORTED', async () => {
+        const { body, request } = stubGemini();
+        const client = new AbortController();
+        const deltas = [];
+        const reply = aiService.streamGeminiAPI('hi', text => deltas.push(text), { signal: client.signal });
+        await new Promise(resolve => setImmediate(resolve));
+        body.write(sseChunk('Hello'));
+        await new Promise(resolve => setImmediate(resolve));
+
+        client.abort();
+        await assert.rejects(reply, error => error.code === 'ABORTED');
+        assert.strictEqual(body.destroyed, true, 'Gemini response stream was not closed');
+        assert.strictEqual(request.config.signal.aborted, true, 'axios request was not aborted');
+        assert.deepStrictEqual(deltas, ['Hello']);
+    });
+
+    await check('An already aborted signal never reads the reply', async () => {
+        const { body } = stubGemini();
+        const client = new AbortController();
+        client.abort();
+        await assert.rejects(aiService.streamGeminiAPI('hi', () => {}, { signal: client.signal }), error => error.code === 'ABORTED');
+        assert.strictEqual(body.destroyed, true);
+    });
+
+    await check('A reply that takes longer than the timeout rejects with TIMEOUT', async () => {
+        const { body } = stubGemini();
+        const started = Date.now();
+        const reply = aiService.streamGeminiAPI('hi', () => {}, { timeoutMs: 50 });
+        body.write(sseChunk('Still thinking'));
+
+        await assert.rejects(reply, error => error.code === 'TIMEOUT');
+        assert.ok(Date.now() - started < 1000);
+        assert.strictEqual(body.destroyed, true);
+    });
+
+    console.log(failures === 0 ? '\n🎉 All Gemini stream tests passed' : `\n❌ ${failures} Gemini stream test(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+})();
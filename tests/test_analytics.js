@@ -0,0 +1,145 @@
+// Click analytics in services/analytics.js: which ClickTracking records count as impressions
+// and clicks in click-through rates, and CSV export escaping.
+// The ClickTracking model is replaced by an in-memory stub that evaluates the $match and
+// $group stages of a pipeline, so it runs without a database.
+//
+// Usage: node tests/test_analytics.js
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+const analytics = require('../services/analytics');
+
+let failures = 0;
+
+async function check(label, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${label}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${label}\n   ${error.message}`);
+    }
+}
+
+// --- Minimal aggregation evaluator: enough for the expressions clickThroughRate uses ---
+
+function evaluate(expr, doc) {
+    if (typeof expr === 'string' && expr.startsWith('$')) return doc[expr.slice(1)];
+    if (!expr || typeof expr !== 'object') return expr;
+    if ('$cond' in expr) return evaluate(expr.$cond[0], doc) ? evaluate(expr.$cond[1], doc) : evaluate(expr.$cond[2], doc);
+    if ('$eq' in expr) return evaluate(expr.$eq[0], doc) === evaluate(expr.$eq[1], doc);
+    if ('$ifNull' in expr) return evaluate(expr.$ifNull[0], doc) ?? evaluate(expr.$ifNull[1], doc);
+    throw new Error(`Unsupported expression: ${JSON.stringify(expr)}`);
+}
+
+function matches(doc, query) {
+    return Object.entries(query).every(([field, condition]) => {
+        if (field === '$or') return condition.some(q => matches(doc, q));
+        const value = doc[field] ?? null;
+        if (!condition || typeof condition !== 'object' || condition instanceof Date) return value === condition;
+        return Object.entries(condition).every(([op, arg]) => {
+            switch (op) {
+                case '$gte': return value >= arg;
+                case '$lte': return value <= arg;
+                case '$ne': return value !== arg;
+                case '$in': return arg.includes(value);
+                case '$nin': return !arg.includes(value);
+                default: throw new Error(`Unsupported operator: ${op}`);
+            }
+        });
+    });
+}
+
+// Runs $match and $group stages; the presentation stages after $group are skipped
+function runPipeline(docs, pipeline) {
+    let rows = docs;
+    for (const stage of pipeline) {
+        if (stage.$match) {
+            rows = rows.filter(doc => matches(doc, stage.$match));
+        } else if (stage.$group) {
+            const groups = new Map();
+            for (const doc of rows) {
+                const id = evaluate(stage.$group._id, doc);
+                if (!groups.has(id)) groups.set(id, { _id: id, impressions: 0, clicks: 0 });
+                const group = groups.get(id);
+                group.impressions += evaluate(stage.$group.impressions.$sum, doc);
+                group.clicks += evaluate(stage.$group.clicks.$sum, doc);
+            }
+            return [...groups.values()];
+        }
+    }
+    return rows;
+}
+
+const now = new Date();
+const RECORDS = [
+    // Current records
+    { source: 'Jumia', kind: 'impression', clicked: false, sessionId: 's1', createdAt: now },
+    { source: 'Jumia', kind: 'impression', clicked: true, sessionId: 's1', createdAt: now },
+    { source: 'Jumia', kind: 'view', clicked: true, sessionId: 's1', createdAt: now },
+    { source: 'Konga', kind: 'impression', clicked: false, sessionId: 's2', createdAt: now },
+    // Written before `kind` existed: a track-view row and a clicked impression look the same
+    { source: 'Jumia', clicked: true, sessionId: 's3', createdAt: now },
+    { source: 'Konga', clicked: false, sessionId: 's3', createdAt: now },
+    // Never shown to anyone
+    { source: 'Konga', kind: 'impression', clicked: false, createdAt: now }
+];
+
+let lastPipeline = null;
+mongoose.model('ClickTracking', new mongoose.Schema({})).aggregate = async (pipeline) => {
+    lastPipeline = pipeline;
+    return runPipeline(RECORDS, pipeline);
+};
+
+const range = { from: new Date(now.getTime() - 60 * 1000), to: new Date(now.getTime() + 60 * 1000) };
+
+(async () => {
+    console.log('📊 Analytics tests\n');
+
+    await check('Only `impression` records count as impressions; views and clicked impressions count as clicks', async () => {
+        const rows = await analytics.clickThroughRate(range, 'source');
+        const bySource = Object.fromEntries(rows.map(r => [r._id, [r.impressions, r.clicks]]));
+        assert.deepStrictEqual(bySource, { Jumia: [2, 2], Konga: [1, 0] });
+    });
+
+    await check('Records without a kind are left out of click-through rates', async () => {
+        await analytics.clickThroughRate(range, 'source');
+        assert.ok(lastPipeline.some(stage => stage.$match?.kind), 'no stage matches on kind');
+    });
+
+    await check('Unknown groupings are rejected', async () => {
+        await assert.rejects(analytics.clickThroughRate(range, 'colour'), /Unsupported groupBy/);
+    });
+
+    await check('CSV quotes commas, quotes and line breaks', async () => {
+        const csv = analytics.toCsv([{ query: 'tv, 55"', note: 'a\r\nb', clicks: 3 }]);
+        assert.strictEqual(csv, 'query,note,clicks\n"tv, 55""","a\r\nb",3\n');
+    });
+
+    await check('CSV neutralizes cells that spreadsheets would run as formulas', async () => {
+        const csv = analytics.toCsv([
+            { productTitle: '=HYPERLINK("http://x","y")' },
+            { productTitle: '+1' },
+            { productTitle: '-cheap' },
+            { productTitle: '@SUM(A1)' },
+            { productTitle: '\tiphone' },
+            { productTitle: 'iphone 15' }
+        ]);
+        assert.deepStrictEqual(csv.split('\n').slice(1, -1), [
+            '"\'=HYPERLINK(""http://x"",""y"")"',
+            "'+1",
+            "'-cheap",
+            "'@SUM(A1)",
+            "'\tiphone",
+            'iphone 15'
+        ]);
+    });
+
+    await check('Numbers and dates are written as they are', async () => {
+        const date = new Date('2026-01-02T03:04:05Z');
+        assert.strictEqual(analytics.toCsv([{ change: -5, at: date }]), 'change,at\n-5,2026-01-02T03:04:05.000Z\n');
+    });
+
+    console.log(failures === 0 ? '\n🎉 All analytics tests passed' : `\n❌ ${failures} analytics test(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+})();
@@ -0,0 +1,126 @@
+// Chat socket framing in services/chatSocket.js, against a local HTTP server with a stub turn
+// handler: message validation, one turn at a time, search frame ids for resuming, and the
+// abort signal a turn gets when its socket closes. Runs without a database or network access.
+//
+// Usage: node tests/test_chat_socket.js
+
+const assert = require('assert');
+const http = require('http');
+const WebSocket = require('ws');
+const chatSocket = require('../services/chatSocket');
+
+let failures = 0;
+
+async function check(label, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${label}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${label}\n   ${error.message}`);
+    }
+}
+
+// Stub turn: replies, then "searches" with stream-style ids, or waits until aborted
+let lastSignal = null;
+async function handleTurn(payload, { signal }, send) {
+    lastSignal = signal;
+    if (payload.message === 'wait') {
+        await new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+        return;
+    }
+    send('ai-response', { aiResponse: 'Looking for it' });
+    send('search', { searchId: 'abc' }, 1);
+    send('deals', [], 2);
+    send('done', { totalValid: 0 }, 3);
+}
+
+function connect(port) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://localhost:${port}${chatSocket.PATH}`);
+        const frames = [];
+        ws.on('message', raw => frames.push(JSON.parse(raw.toString())));
+        ws.on('open', () => resolve({ ws, frames }));
+        ws.on('error', reject);
+    });
+}
+
+// Wait until a frame with `event` arrives
+async function waitFor(frames, event, timeoutMs = 2000) {
+    const started = Date.now();
+    while (!frames.some(f => f.event === event)) {
+        if (Date.now() - started > timeoutMs) throw new Error(`no ${event} frame; got ${JSON.stringify(frames)}`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+(async () => {
+    console.log('🔌 Chat socket tests\n');
+
+    const server = http.createServer();
+    chatSocket.attach(server, { authenticate: async () => ({ userId: null }), handleTurn });
+    await new Promise(resolve => server.listen(0, resolve));
+    const { port } = server.address();
+
+    await check('Frames that are not JSON objects are rejected', async () => {
+        const { ws, frames } = await connect(port);
+        await waitFor(frames, 'ready');
+        for (const raw of ['not json', 'null', '42', '"text"', '[1]']) ws.send(raw);
+        ws.send(JSON.stringify({ type: 'ping' }));
+        await waitFor(frames, 'pong');
+
+        const errors = frames.filter(f => f.event === 'error').map(f => f.data.message);
+        assert.deepStrictEqual(errors, [
+            'Messages must be JSON',
+            'Messages must be JSON objects',
+            'Messages must be JSON objects',
+            'Messages must be JSON objects',
+            'Messages must be JSON objects'
+        ]);
+        ws.close();
+    });
+
+    await check('Search frames carry the search stream event id; chat frames carry none', async () => {
+        const { ws, frames } = await connect(port);
+        ws.send(JSON.stringify({ type: 'message', message: 'iphone 15' }));
+        await waitFor(frames, 'done');
+
+        assert.deepStrictEqual(frames.filter(f => f.event !== 'ready').map(f => [f.event, f.id]), [
+            ['ai-response', undefined],
+            ['search', 1],
+            ['deals', 2],
+            ['done', 3]
+        ]);
+        ws.close();
+    });
+
+    await check('A second message during a turn is rejected', async () => {
+        const { ws, frames } = await connect(port);
+        ws.send(JSON.stringify({ type: 'message', message: 'wait' }));
+        ws.send(JSON.stringify({ type: 'message', message: 'iphone 15' }));
+        await waitFor(frames, 'error');
+        assert.strictEqual(frames.find(f => f.event === 'error').data.message, 'A turn is already in progress on this socket');
+        ws.close();
+    });
+
+    await check('Closing the socket aborts the running turn', async () => {
+        const { ws, frames } = await connect(port);
+        await waitFor(frames, 'ready');
+        ws.send(JSON.stringify({ type: 'message', message: 'wait' }));
+        const started = Date.now();
+        while (!lastSignal || lastSignal.aborted) {
+            if (Date.now() - started > 2000) throw new Error('turn never started');
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        const signal = lastSignal;
+        ws.close();
+        await new Promise(resolve => signal.aborted ? resolve() : signal.addEventListener('abort', resolve, { once: true }));
+        assert.strictEqual(signal.aborted, true);
+    });
+
+    chatSocket.close();
+    server.close();
+
+    console.log(failures === 0 ? '\n🎉 All chat socket tests passed' : `\n❌ ${failures} chat socket test(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+})();
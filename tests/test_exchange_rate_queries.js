@@ -0,0 +1,215 @@
+// Exchange-rate database reads in services/exchangeRates.js: how many queries one 50-result
+// search costs, and the queries getRatesAsOf and getRateHistory issue.
+// Runs without MongoDB or network access - the models are stubbed with in-memory documents
+// and every query the service issues is recorded.
+//
+// Usage: node tests/test_exchange_rate_queries.js
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+
+const RESULTS_PER_SEARCH = 50;
+const MAX_QUERIES_PER_SEARCH = 1;
+const HOUR = 60 * 60 * 1000;
+
+// Same shape as the models in server.js
+const ExchangeRate = mongoose.model('ExchangeRate', new mongoose.Schema({
+    baseCurrency: String,
+    rates: { type: Map, of: Number },
+    provider: String,
+    lastUpdated: Date
+}));
+const ExchangeRateSnapshot = mongoose.model('ExchangeRateSnapshot', new mongoose.Schema({
+    baseCurrency: String,
+    rates: { type: Map, of: Number },
+    provider: String,
+    fetchedAt: Date
+}));
+
+const now = Date.now();
+const storedDoc = {
+    baseCurrency: 'USD',
+    rates: { USD: 1, NGN: 1500, GBP: 0.8, EUR: 0.9 },
+    provider: 'exchangerate-api',
+    lastUpdated: new Date(now)
+};
+const SNAPSHOTS = [
+    { baseCurrency: 'USD', rates: { USD: 1, NGN: 1400 }, provider: 'exchangerate-api', fetchedAt: new Date(now - 72 * HOUR) },
+    { baseCurrency: 'USD', rates: { USD: 1, NGN: 1450 }, provider: 'open-er-api', fetchedAt: new Date(now - 48 * HOUR) },
+    { baseCurrency: 'USD', rates: { USD: 1, NGN: 1500 }, provider: 'exchangerate-api', fetchedAt: new Date(now - 1 * HOUR) },
+    { baseCurrency: 'EUR', rates: { EUR: 1, NGN: 1700 }, provider: 'other', fetchedAt: new Date(now - 2 * HOUR) }
+];
+
+// Every query the service issues: { model, op, filter, sort, limit }
+const queries = [];
+
+function matchesFilter(doc, filter) {
+    return Object.entries(filter).every(([field, condition]) => {
+        if (condition instanceof Date || typeof condition !== 'object') return String(doc[field]) === String(condition);
+        return Object.entries(condition).every(([op, value]) => {
+            if (op === '$lte') return doc[field] <= value;
+            if (op === '$gte') return doc[field] >= value;
+            throw new Error(`Unsupported operator: ${op}`);
+        });
+    });
+}
+
+// Chainable find/findOne over in-memory documents, honouring filter, sort and limit
+function stubQuery(model, op, docs, filter) {
+    const query = { model, op, filter, sort: null, limit: null };
+    queries.push(query);
+
+    const chain = {
+        sort(sort) { query.sort = sort; return chain; },
+        limit(limit) { query.limit = limit; return chain; },
+        async lean() {
+            let rows = docs.filter(doc => matchesFilter(doc, filter));
+            if (query.sort) {
+                const [[field, direction]] = Object.entries(query.sort);
+                rows = [...rows].sort((a, b) => (a[field] - b[field]) * direction);
+            }
+            if (query.limit) rows = rows.slice(0, query.limit);
+            return op === 'findOne' ? rows[0] || null : rows;
+        }
+    };
+    return chain;
+}
+
+ExchangeRate.findOne = filter => stubQuery('ExchangeRate', 'findOne', [storedDoc], filter);
+ExchangeRate.findOneAndUpdate = async () => storedDoc;
+ExchangeRateSnapshot.findOne = filter => stubQuery('ExchangeRateSnapshot', 'findOne', SNAPSHOTS, filter);
+ExchangeRateSnapshot.find = filter => stubQuery('ExchangeRateSnapshot', 'find', SNAPSHOTS, filter);
+ExchangeRateSnapshot.create = async () => ({});
+
+const exchangeRates = require('../services/exchangeRates');
+const currency = require('../services/currency');
+
+// Replace the network providers with a local one
+exchangeRates.providers.length = 0;
+exchangeRates.providers.push({
+    name: 'benchmark',
+    isConfigured: () => true,
+    fetchRates: async () => ({ rates: { USD: 1, NGN: 1600, GBP: 0.8, EUR: 0.9 } })
+});
+
+let failures = 0;
+
+async function check(label, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${label}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${label}\n   ${error.message}`);
+    }
+}
+
+// What one search does: searchAllSources converts every API item (convertCurrency in server.js
+// reads getLatestRates per item), then findBestDeals reads one rate set for the whole batch.
+// The 50 per-item reads start together, as they do when stores answer concurrently.
+async function simulateSearch() {
+    const items = Array.from({ length: RESULTS_PER_SEARCH }, (_, i) => ({
+        price: 10 + i,
+        currency: ['USD', 'GBP', 'EUR', 'NGN'][i % 4]
+    }));
+
+    const priced = await Promise.all(items.map(async (item) => {
+        const { rates } = await exchangeRates.getLatestRates();
+        return currency.convertWithRates(item.price, item.currency, 'NGN', rates);
+    }));
+
+    const rateSet = await exchangeRates.getLatestRates();
+    for (const item of items) {
+        currency.convertWithRates(item.price, item.currency, 'NGN', rateSet.rates);
+    }
+
+    return priced;
+}
+
+async function measure(expectedMax) {
+    queries.length = 0;
+    const priced = await simulateSearch();
+    const count = queries.length;
+    console.log(`   ${count} exchange-rate quer${count === 1 ? 'y' : 'ies'} for ${RESULTS_PER_SEARCH} results (max ${expectedMax})`);
+    assert.ok(count <= expectedMax, `${count} queries`);
+    return priced;
+}
+
+async function run() {
+    console.log('💱 Exchange rate query tests\n');
+
+    await check('Cold start reads the latest rates once', async () => {
+        const priced = await measure(MAX_QUERIES_PER_SEARCH);
+        assert.deepStrictEqual(queries.map(q => [q.model, q.op, q.filter]), [['ExchangeRate', 'findOne', { baseCurrency: 'USD' }]]);
+        assert.strictEqual(priced[0], 15000); // USD 10 at 1500 from the database
+    });
+
+    await check('Warm cache reads nothing', async () => {
+        await measure(0);
+    });
+
+    await check('Refreshed rates are used without a database read', async () => {
+        await exchangeRates.fetchAndStoreExchangeRates();
+        const priced = await measure(0);
+        assert.strictEqual(priced[0], 16000); // USD 10 at 1600 after the refresh
+    });
+
+    await check('getRatesAsOf reads the latest USD snapshot at or before the moment', async () => {
+        queries.length = 0;
+        const at = new Date(now - 24 * HOUR);
+        const rateSet = await exchangeRates.getRatesAsOf(at);
+
+        assert.deepStrictEqual(queries, [{
+            model: 'ExchangeRateSnapshot',
+            op: 'findOne',
+            filter: { baseCurrency: 'USD', fetchedAt: { $lte: at } },
+            sort: { fetchedAt: -1 },
+            limit: null
+        }]);
+        assert.strictEqual(rateSet.rates.NGN, 1450);
+        assert.strictEqual(rateSet.provider, 'open-er-api');
+        assert.strictEqual(rateSet.stale, false, '24h old at the requested moment is not stale');
+    });
+
+    await check('getRatesAsOf flags snapshots older than the max age at that moment', async () => {
+        const rateSet = await exchangeRates.getRatesAsOf(new Date(now - 47 * HOUR + exchangeRates.MAX_AGE_MS));
+        assert.strictEqual(rateSet.rates.NGN, 1450);
+        assert.strictEqual(rateSet.stale, true);
+    });
+
+    await check('getRatesAsOf falls back to the bundled rates before the first snapshot', async () => {
+        const rateSet = await exchangeRates.getRatesAsOf(new Date(now - 100 * HOUR));
+        assert.strictEqual(rateSet.provider, 'static');
+        assert.strictEqual(rateSet.stale, true);
+    });
+
+    await check('getRateHistory reads USD snapshots since a date, newest first, limited', async () => {
+        queries.length = 0;
+        const since = new Date(now - 60 * HOUR);
+        const history = await exchangeRates.getRateHistory({ since, currency: 'NGN', limit: 5 });
+
+        assert.deepStrictEqual(queries, [{
+            model: 'ExchangeRateSnapshot',
+            op: 'find',
+            filter: { baseCurrency: 'USD', fetchedAt: { $gte: since } },
+            sort: { fetchedAt: -1 },
+            limit: 5
+        }]);
+        assert.deepStrictEqual(history.map(h => [h.rate, h.provider]), [[1500, 'exchangerate-api'], [1450, 'open-er-api']]);
+    });
+
+    await check('getRateHistory without a currency returns whole rate sets', async () => {
+        queries.length = 0;
+        const history = await exchangeRates.getRateHistory({ limit: 1 });
+        assert.deepStrictEqual(queries[0].filter, { baseCurrency: 'USD' });
+        assert.deepStrictEqual(history, [{ asOf: SNAPSHOTS[2].fetchedAt, provider: 'exchangerate-api', rates: { USD: 1, NGN: 1500 } }]);
+    });
+
+    console.log(failures === 0 ? '\n🎉 All exchange rate query tests passed' : `\n❌ ${failures} exchange rate query test(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+run().catch(error => {
+    console.error('❌ Exchange rate query test error:', error);
+    process.exit(1);
+});
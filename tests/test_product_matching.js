@@ -0,0 +1,111 @@
+// Product identity extraction and cross-store clustering in services/productMatching.js.
+// Runs without a database or network access.
+//
+// Usage: node tests/test_product_matching.js
+
+const assert = require('assert');
+const productMatching = require('../services/productMatching');
+
+let failures = 0;
+
+function check(label, fn) {
+    try {
+        fn();
+        console.log(`✅ ${label}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${label}\n   ${error.message}`);
+    }
+}
+
+const deal = (source, title, price, extra = {}) => ({ source, title, price, currency: 'NGN', link: `https://${source}.example/${price}`, ...extra });
+
+console.log('📦 Product matching tests\n');
+
+check('Identity is read from a listing title', () => {
+    assert.deepStrictEqual(productMatching.extractIdentity('Apple iPhone 15 Pro 256GB - Natural Titanium'), {
+        brand: 'apple',
+        model: 'iphone 15 pro',
+        storage: '256gb',
+        color: 'natural titanium'
+    });
+});
+
+check('RAM/storage pairs keep the larger figure as storage', () => {
+    const identity = productMatching.extractIdentity('Samsung Galaxy A15 8/256GB Black');
+    assert.strictEqual(identity.brand, 'samsung');
+    assert.strictEqual(identity.model, 'galaxy a15');
+    assert.strictEqual(identity.storage, '256gb');
+});
+
+check('Product lines that are everyday words need the brand or a model number', () => {
+    for (const title of ['Hot water bottle 2L', 'Spark plug set', 'Switch socket 13A', 'Pavilion garden tent']) {
+        const identity = productMatching.extractIdentity(title);
+        assert.deepStrictEqual([identity.brand, identity.model], [null, null], title);
+    }
+    assert.strictEqual(productMatching.extractIdentity('Hot 40i 128GB').brand, 'infinix');
+    assert.strictEqual(productMatching.extractIdentity('Tecno Spark 20').model, 'spark 20');
+    assert.strictEqual(productMatching.extractIdentity('Nintendo Switch OLED').model, 'switch');
+    assert.strictEqual(productMatching.extractIdentity('PS5 Slim Console').brand, 'sony');
+});
+
+check('The same phone across stores becomes one product with an offer per store', () => {
+    const products = productMatching.clusterDeals([
+        deal('Jumia', 'Apple iPhone 15 128GB Black', 950000),
+        deal('Konga', 'iPhone 15 128 GB - Blue', 930000),
+        deal('Slot', 'APPLE IPHONE 15 (128GB) Midnight', 990000)
+    ]);
+
+    assert.strictEqual(products.length, 1);
+    const [product] = products;
+    assert.strictEqual(product.productId, 'apple|iphone 15|128gb');
+    assert.strictEqual(product.storeCount, 3);
+    assert.deepStrictEqual(product.offers.map(o => o.source), ['Konga', 'Jumia', 'Slot']);
+    assert.strictEqual(product.lowestPrice, 930000);
+    assert.strictEqual(product.highestPrice, 990000);
+    assert.deepStrictEqual(product.colors.sort(), ['black', 'blue', 'midnight']);
+});
+
+check('Only the cheapest offer per store is kept', () => {
+    const [product] = productMatching.clusterDeals([
+        deal('Jumia', 'Samsung Galaxy S24 256GB', 1200000),
+        deal('jumia', 'Samsung Galaxy S24 256GB Violet', 1150000)
+    ]);
+    assert.strictEqual(product.storeCount, 1);
+    assert.strictEqual(product.offers[0].price, 1150000);
+});
+
+check('Different storage and used listings are separate products', () => {
+    const products = productMatching.clusterDeals([
+        deal('Jumia', 'Apple iPhone 15 128GB', 950000),
+        deal('Konga', 'Apple iPhone 15 256GB', 1100000),
+        deal('Slot', 'Apple iPhone 15 128GB', 700000, {
+            attributes: { brand: 'apple', model: 'iphone 15', capacity: '128gb', condition: 'used' }
+        })
+    ]);
+    assert.deepStrictEqual(products.map(p => p.productId), [
+        'apple|iphone 15|128gb',
+        'apple|iphone 15|256gb',
+        'apple|iphone 15|128gb|used'
+    ]);
+});
+
+check('Titles without a model stay single-offer products in input order', () => {
+    const products = productMatching.clusterDeals([
+        deal('Jumia', 'Wireless Mouse', 5000),
+        deal('Konga', 'Wireless Mouse', 4500),
+        deal('Jumia', 'Apple iPhone 15 128GB', 950000)
+    ]);
+    assert.strictEqual(products.length, 3);
+    assert.deepStrictEqual(products.map(p => p.storeCount), [1, 1, 1]);
+    assert.ok(products[0].productId.startsWith('listing|'));
+    assert.strictEqual(products[2].productId, 'apple|iphone 15|128gb');
+});
+
+check('No deals means no products', () => {
+    assert.deepStrictEqual(productMatching.clusterDeals([]), []);
+    assert.deepStrictEqual(productMatching.clusterDeals(null), []);
+});
+
+console.log(failures === 0 ? '\n🎉 All product matching tests passed' : `\n❌ ${failures} product matching test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
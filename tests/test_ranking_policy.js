@@ -0,0 +1,95 @@
+// Result ordering in services/rankingPolicy.js: lead stores, weighted store mixing,
+// the local:international blend, relevance tie-breaking and rankReason.
+// Policies are passed in directly, so it runs without a database or network access.
+//
+// Usage: node tests/test_ranking_policy.js
+
+const assert = require('assert');
+const rankingPolicy = require('../services/rankingPolicy');
+
+let failures = 0;
+
+function check(label, fn) {
+    try {
+        fn();
+        console.log(`✅ ${label}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${label}\n   ${error.message}`);
+    }
+}
+
+const POLICY = {
+    policyKey: 'test',
+    sources: [
+        { storeId: 'slot', placement: 'lead', order: 1 },
+        { storeId: 'jumia', placement: 'mix', order: 2, weight: 2 },
+        { storeId: 'konga', placement: 'mix', order: 3, weight: 1 }
+    ],
+    blend: { local: 2, international: 1 },
+    relevance: { minScore: 0.4, highScore: 0.8, tieBand: 0.2 },
+    priceWeight: 0
+};
+
+const deal = (title, source, price, relevance = 0.9) => ({ title, source, price, relevance });
+
+// Shuffled on purpose: ranking must not depend on input order
+const DEALS = [
+    deal('K2', 'Konga', 25), deal('A1', 'Amazon', 5), deal('S1', 'Slot', 300), deal('J3', 'Jumia', 30),
+    deal('J1', 'Jumia', 10), deal('A2', 'Amazon', 6), deal('K1', 'Konga', 15), deal('S2', 'Slot', 100),
+    deal('J2', 'Jumia', 20)
+];
+
+const titles = deals => deals.map(d => d.title);
+
+console.log('📐 Ranking policy tests\n');
+
+check('Lead stores come first, then weighted local stores blended 2:1 with international ones', () => {
+    const ranked = rankingPolicy.rankDeals(DEALS.map(d => ({ ...d })), { policy: POLICY });
+    assert.deepStrictEqual(titles(ranked), ['S2', 'S1', 'J1', 'J2', 'A1', 'K1', 'J3', 'A2', 'K2']);
+});
+
+check('Every ranked deal explains its position', () => {
+    const ranked = rankingPolicy.rankDeals(DEALS.map(d => ({ ...d })), { policy: POLICY });
+    assert.strictEqual(ranked[0].rankReason,
+        '#1 by policy test: Slot lead store #1; relevance 0.90 (high); 1st of 2 from Slot');
+    assert.strictEqual(ranked[2].rankReason,
+        '#3 by policy test: Jumia mixed local store, 2:1 local:international blend; relevance 0.90 (high); 1st of 3 from Jumia');
+    assert.strictEqual(ranked[4].rankReason,
+        '#5 by policy test: Amazon unranked international store, 2:1 local:international blend; relevance 0.90 (high); 1st of 2 from Amazon');
+});
+
+check('High relevance beats price; scores within the tie band go to the cheaper deal', () => {
+    const policy = { ...POLICY, sources: [] };
+    const ranked = rankingPolicy.rankDeals([
+        deal('low', 'Jumia', 1, 0.3),
+        deal('close-pricey', 'Jumia', 50, 0.7),
+        deal('high', 'Jumia', 100, 0.9),
+        deal('close-cheap', 'Jumia', 10, 0.6)
+    ], { policy });
+    assert.deepStrictEqual(titles(ranked), ['high', 'close-cheap', 'close-pricey', 'low']);
+    assert.ok(ranked[3].rankReason.includes('relevance 0.30;'), ranked[3].rankReason);
+});
+
+check('Price weight lifts cheaper deals out of a relevance gap', () => {
+    const policy = { ...POLICY, sources: [], relevance: { highScore: 1, tieBand: 0 }, priceWeight: 0.5 };
+    const ranked = rankingPolicy.rankDeals([
+        deal('relevant', 'Jumia', 100, 0.7),
+        deal('cheap', 'Jumia', 0, 0.5)
+    ], { policy });
+    assert.deepStrictEqual(titles(ranked), ['cheap', 'relevant']);
+    assert.ok(ranked[0].rankReason.includes('price weight 0.5'), ranked[0].rankReason);
+});
+
+check('Without a policy the registry defaults for the country apply', () => {
+    const ranked = rankingPolicy.rankDeals([deal('J1', 'Jumia', 10)], { country: 'NG' });
+    assert.ok(ranked[0].rankReason.startsWith('#1 by policy NG:'), ranked[0].rankReason);
+});
+
+check('No deals rank to an empty list', () => {
+    assert.deepStrictEqual(rankingPolicy.rankDeals([], { policy: POLICY }), []);
+    assert.deepStrictEqual(rankingPolicy.rankDeals(null, { policy: POLICY }), []);
+});
+
+console.log(failures === 0 ? '\n🎉 All ranking policy tests passed' : `\n❌ ${failures} ranking policy test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,67 @@
+// Per-store fan-out in services/searchService.js: every store gets its own scrapper request
+// and keeps only its own items, even when the scrapper ignores ?store= and answers every
+// request with the full result set. The scrapper client is stubbed.
+//
+// Usage: node tests/test_search_by_store.js
+
+const assert = require('assert');
+const scrapperClient = require('../services/scrapper');
+const searchService = require('../services/searchService');
+
+let failures = 0;
+
+async function check(label, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${label}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${label}\n   ${error.message}`);
+    }
+}
+
+const FULL_RESULTS = [
+    { title: 'iPhone 15 128GB', price: '950000', source: 'Jumia', link: 'https://jumia.example/1' },
+    { title: 'iPhone 15 128GB', price: '930000', source: 'Konga', link: 'https://konga.example/1' },
+    { title: 'iPhone 15 128GB Blue', price: '940000', source: 'Konga', link: 'https://konga.example/2' }
+];
+
+(async () => {
+    console.log('🏪 Per-store search tests\n');
+    process.env.SCRAPPER_STORES = 'jumia,konga';
+
+    await check('A scrapper that ignores ?store= does not repeat deals per store', async () => {
+        const requestedStores = [];
+        scrapperClient.search = async (query, category, options) => {
+            requestedStores.push(options.store);
+            return { status: 'ok', results: FULL_RESULTS, meta: {}, latencyMs: 5 };
+        };
+
+        const received = {};
+        const { stores, upstreamUnavailable } = await searchService.searchByStore('iphone 15', {
+            onResults: async ({ store, results }) => { received[store] = results.map(r => r.link).sort(); }
+        });
+
+        assert.deepStrictEqual(requestedStores.sort(), ['jumia', 'konga']);
+        assert.deepStrictEqual(received, {
+            jumia: ['https://jumia.example/1'],
+            konga: ['https://konga.example/1', 'https://konga.example/2']
+        });
+        assert.deepStrictEqual(stores.map(s => [s.store, s.status, s.count]), [['jumia', 'done', 1], ['konga', 'done', 2]]);
+        assert.strictEqual(upstreamUnavailable, false);
+    });
+
+    await check('Stores that fail or time out are reported per store', async () => {
+        scrapperClient.search = async (query, category, options) => options.store === 'jumia'
+            ? { status: 'upstream_unavailable', error: 'timeout', latencyMs: 15000 }
+            : { status: 'ok', results: FULL_RESULTS, meta: {}, latencyMs: 5 };
+
+        const statuses = [];
+        const { stores } = await searchService.searchByStore('iphone 15', { onStatus: status => statuses.push(status.status) });
+        assert.deepStrictEqual(stores.map(s => [s.store, s.status]), [['jumia', 'timeout'], ['konga', 'done']]);
+        assert.deepStrictEqual(statuses.slice(0, 2), ['pending', 'pending']);
+    });
+
+    console.log(failures === 0 ? '\n🎉 All per-store search tests passed' : `\n❌ ${failures} per-store search test(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+})();
@@ -0,0 +1,102 @@
+// Search filters and facets in services/searchFilters.js: applyFilters and buildFacets over
+// a fixed set of deals, with options built by resolveSearchOptions.
+// Runs without a database or network access.
+//
+// Usage: node tests/test_search_filters.js
+
+const assert = require('assert');
+const searchFilters = require('../services/searchFilters');
+
+let failures = 0;
+
+function check(label, fn) {
+    try {
+        fn();
+        console.log(`✅ ${label}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${label}\n   ${error.message}`);
+    }
+}
+
+const DEALS = [
+    { title: 'Phone A', source: 'Jumia', price: 100000, rating: '4.5', attributes: { condition: 'new' } },
+    { title: 'Phone B', source: 'Konga', price: 250000, rating: '3.9', attributes: { condition: 'used' } },
+    { title: 'Phone C', source: 'Jumia NG', price: 480000, rating: '4.8 out of 5', attributes: { condition: 'refurbished' } },
+    { title: 'Phone D', source: 'Slot', price: 120000, rating: 'N/A' },
+    { title: 'Phone E', source: 'Jiji', price: 60000, rating: '4.1' }
+];
+
+const titles = deals => deals.map(d => d.title);
+
+console.log('🧮 Search filter tests\n');
+
+check('No options keep every deal', () => {
+    const options = searchFilters.resolveSearchOptions({});
+    assert.deepStrictEqual(titles(searchFilters.applyFilters(DEALS, options)), titles(DEALS));
+});
+
+check('Price window and store list combine', () => {
+    const options = searchFilters.resolveSearchOptions({ minPrice: '100000', stores: 'jumia,konga' });
+    assert.deepStrictEqual(titles(searchFilters.applyFilters(DEALS, options)), ['Phone A', 'Phone B', 'Phone C']);
+});
+
+check('Minimum rating drops unrated listings', () => {
+    const options = searchFilters.resolveSearchOptions({ minRating: 4 });
+    assert.deepStrictEqual(titles(searchFilters.applyFilters(DEALS, options)), ['Phone A', 'Phone C', 'Phone E']);
+});
+
+check('Listings without a condition count as new', () => {
+    const newOnly = searchFilters.resolveSearchOptions({ condition: 'new' });
+    assert.deepStrictEqual(titles(searchFilters.applyFilters(DEALS, newOnly)), ['Phone A', 'Phone D', 'Phone E']);
+
+    const secondHand = searchFilters.resolveSearchOptions({ condition: ['used', 'refurbished'] });
+    assert.deepStrictEqual(titles(searchFilters.applyFilters(DEALS, secondHand)), ['Phone B', 'Phone C']);
+});
+
+check('Preferences are defaults that request params override', () => {
+    const user = { searchPreferences: { avoidStores: ['jiji'], maxPrice: 200000 } };
+    const fromPrefs = searchFilters.resolveSearchOptions({}, user);
+    assert.deepStrictEqual(titles(searchFilters.applyFilters(DEALS, fromPrefs)), ['Phone A', 'Phone D']);
+
+    const overridden = searchFilters.resolveSearchOptions({ excludeStores: 'none', maxPrice: '300000' }, user);
+    assert.deepStrictEqual(titles(searchFilters.applyFilters(DEALS, overridden)), ['Phone A', 'Phone B', 'Phone D', 'Phone E']);
+});
+
+check('Store facet ignores the store filter but applies the others', () => {
+    const options = searchFilters.resolveSearchOptions({ minPrice: '100000', stores: 'jumia' });
+    const { stores } = searchFilters.buildFacets(DEALS, options);
+    assert.deepStrictEqual(stores, [
+        { id: 'jumia', name: 'Jumia', count: 2 },
+        { id: 'konga', name: 'Konga', count: 1 },
+        { id: 'slot', name: 'Slot', count: 1 }
+    ]);
+});
+
+check('Price buckets ignore the price filter and use a round step', () => {
+    const options = searchFilters.resolveSearchOptions({ maxPrice: '150000', stores: 'jumia,konga' });
+    const { priceBuckets } = searchFilters.buildFacets(DEALS, options);
+    assert.deepStrictEqual(priceBuckets, [
+        { min: 100000, max: 200000, count: 1 },
+        { min: 200000, max: 300000, count: 1 },
+        { min: 400000, max: 500000, count: 1 }
+    ]);
+});
+
+check('Condition facet ignores the condition filter', () => {
+    const options = searchFilters.resolveSearchOptions({ condition: 'used' });
+    const { conditions } = searchFilters.buildFacets(DEALS, options);
+    assert.deepStrictEqual(conditions, [
+        { id: 'new', count: 3 },
+        { id: 'used', count: 1 },
+        { id: 'refurbished', count: 1 }
+    ]);
+});
+
+check('No deals give empty facets', () => {
+    const facets = searchFilters.buildFacets([], searchFilters.resolveSearchOptions({}));
+    assert.deepStrictEqual(facets, { stores: [], priceBuckets: [], conditions: [] });
+});
+
+console.log(failures === 0 ? '\n🎉 All search filter tests passed' : `\n❌ ${failures} search filter test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,117 @@
+// Resumable search streams in services/searchStreams.js: buffered events are replayed after
+// the client's Last-Event-ID, then live events follow. Uses a fake SSE response object.
+// Runs without a database or network access.
+//
+// Usage: node tests/test_search_streams.js
+
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const searchStreams = require('../services/searchStreams');
+
+let failures = 0;
+
+function check(label, fn) {
+    try {
+        fn();
+        console.log(`✅ ${label}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${label}\n   ${error.message}`);
+    }
+}
+
+// Just enough of an Express response for attach(): write, end and the close event
+function fakeResponse() {
+    const res = new EventEmitter();
+    res.chunks = [];
+    res.ended = false;
+    res.write = chunk => { res.chunks.push(chunk); };
+    res.end = () => { res.ended = true; };
+    return res;
+}
+
+// Parse the SSE frames written to a fake response
+function received(res) {
+    return res.chunks.join('').split('\n\n').filter(Boolean).map(frame => {
+        const [, id] = frame.match(/^id: (\d+)$/m);
+        const [, event] = frame.match(/^event: (.+)$/m);
+        const [, data] = frame.match(/^data: (.*)$/m);
+        return { id: Number(id), event, data: JSON.parse(data) };
+    });
+}
+
+function startSearch() {
+    const stream = searchStreams.createStream({ userId: 'user-1', query: 'iphone 15' });
+    searchStreams.emit(stream.id, 'search', { searchId: stream.id });
+    searchStreams.emit(stream.id, 'deals', { deals: [{ title: 'iPhone 15' }] });
+    searchStreams.emit(stream.id, 'store-status', { store: 'jumia', status: 'done' });
+    return stream;
+}
+
+console.log('📡 Search stream tests\n');
+
+check('Attaching without Last-Event-ID replays every event', () => {
+    const stream = startSearch();
+    const res = fakeResponse();
+    assert.strictEqual(searchStreams.attach(stream.id, res), true);
+    assert.deepStrictEqual(received(res).map(e => e.id), [1, 2, 3]);
+    assert.deepStrictEqual(received(res)[0], { id: 1, event: 'search', data: { searchId: stream.id } });
+    assert.strictEqual(res.ended, false);
+});
+
+check('Attaching with Last-Event-ID replays only the missed events', () => {
+    const stream = startSearch();
+    const res = fakeResponse();
+    searchStreams.attach(stream.id, res, '1');
+    assert.deepStrictEqual(received(res).map(e => e.event), ['deals', 'store-status']);
+});
+
+check('A client that has seen everything gets nothing until new events arrive', () => {
+    const stream = startSearch();
+    const res = fakeResponse();
+    searchStreams.attach(stream.id, res, 3);
+    assert.deepStrictEqual(res.chunks, []);
+
+    assert.strictEqual(searchStreams.emit(stream.id, 'done', { total: 1 }), 4);
+    assert.deepStrictEqual(received(res), [{ id: 4, event: 'done', data: { total: 1 } }]);
+});
+
+check('Finishing ends attached clients; late clients get the replay and are ended', () => {
+    const stream = startSearch();
+    const live = fakeResponse();
+    searchStreams.attach(stream.id, live, 3);
+    searchStreams.finish(stream.id);
+    assert.strictEqual(live.ended, true);
+
+    assert.strictEqual(searchStreams.emit(stream.id, 'deals', { deals: [] }), null);
+    assert.deepStrictEqual(live.chunks, [], 'events after finish are dropped');
+
+    const late = fakeResponse();
+    searchStreams.attach(stream.id, late, 2);
+    assert.deepStrictEqual(received(late).map(e => e.id), [3]);
+    assert.strictEqual(late.ended, true);
+});
+
+check('A closed client stops receiving live events', () => {
+    const stream = startSearch();
+    const res = fakeResponse();
+    searchStreams.attach(stream.id, res, 3);
+    res.emit('close');
+    searchStreams.emit(stream.id, 'done', {});
+    assert.deepStrictEqual(res.chunks, []);
+});
+
+check('Unknown search ids are not attached', () => {
+    assert.strictEqual(searchStreams.attach('no-such-search', fakeResponse()), false);
+    assert.strictEqual(searchStreams.getStream('no-such-search'), null);
+});
+
+check('Only the owner can read a signed-in user\'s stream', () => {
+    const stream = startSearch();
+    assert.strictEqual(searchStreams.canAccess(stream, 'user-1'), true);
+    assert.strictEqual(searchStreams.canAccess(stream, 'user-2'), false);
+    assert.strictEqual(searchStreams.canAccess(searchStreams.createStream(), null), true);
+});
+
+console.log(failures === 0 ? '\n🎉 All search stream tests passed' : `\n❌ ${failures} search stream test(s) failed`);
+process.exit(failures === 0 ? 0 : 1);